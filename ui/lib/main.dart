@@ -14,41 +14,17 @@
 // limitations under the License.
 //
 
-import 'dart:convert';
 import 'dart:js';
 
 import 'package:cloud_gaming_demo/homepage.dart';
 import 'package:flutter/material.dart';
 import 'package:flutter_web_plugins/flutter_web_plugins.dart';
-import 'package:http/http.dart' as http;
-import 'dart:io';
 
 void main() {
   setUrlStrategy(PathUrlStrategy());
   runApp(const CloudGamingDemo());
 }
 
-Future<JsObject> createSession(String game) async {
-  final url = Uri.parse(Uri.base.toString() + '1.0/sessions/');
-  final body = json.encode({'game': game});
-  Map<String,String> headers = {
-    'Content-type' : 'application/json',
-  };
-
-  final response = await http.post(url, body: body, headers: headers);
-  if (response.statusCode == 200) {
-    final metadata = jsonDecode(response.body);
-    Map<String, dynamic> sessionInfo = {
-      'id': metadata['id'],
-      'websocket': metadata['url'],
-      'stunServers': metadata['stun_servers']
-    };
-    return JsObject.jsify(sessionInfo);
-  } else {
-    throw HttpException('Failed to create session');
-  }
-}
-
 class CloudGamingDemo extends StatelessWidget {
   const CloudGamingDemo({Key? key}) : super(key: key);
 
@@ -83,52 +59,63 @@ class _MainPageState extends State<MainPage> {
         return Scaffold(
           backgroundColor: const Color(0xff191d26),
           body: Homepage(onPlay: (String game) {
-            // FIXME: ideally, we should call the createSession function
-            //        in the connector.connect JS function, so the connector
-            //        can fetch the sesssion info from the backend on demand.
-            //        However since the Future<T> is not primitive type,
-            //        returning Future<T> type leads to a DartObject JS
-            //        object received on the JS SDK side and fails in
-            //        parsing session info. Hence we should always give
-            //        a JsObject rather than Future<JsObject> back from
-            //        dart to JS side.
-            createSession(game).then((JsObject sessionInfo) {
-              Map<String, dynamic> options = {
-                'targetElement': 'anbox-cloud-stream',
-                'screen': {
-                  'width': 1280,
-                  'height': 720
-                },
-                'connector': {
-                  'connect': () { return sessionInfo; },
-                  'disconnect': () {}
+            // The proxy connector asks the backend to create a session for
+            // the selected game once the stream connects.
+            var connector = JsObject(context['AnboxStreamProxyConnector'], [
+              JsObject.jsify({
+                'session': {
+                  'app': game
                 }
-              };
+              })
+            ]);
 
-              var stream = JsObject(context['AnboxStream'], [JsObject.jsify(options)]);
-              void fullScreenChangedCallback(JsObject ev) {
-                var doc = JsObject.fromBrowserObject(context['document']);
-                if(!doc['webkitIsFullScreen'] &&
-                   !doc['fullscreenchange'] &&
-                   !doc['mozfullscreenchange'] &&
-                   !doc['fullscreenElement']){
-                    stream.callMethod('disconnect', []);
-                } else {
-                    stream.callMethod('connect', []);
-                }
+            void errorCallback(JsObject error) {
+              var doc = JsObject.fromBrowserObject(context['document']);
+              if (doc['fullscreenElement'] != null) {
+                doc.callMethod('exitFullscreen', []);
               }
-
-              var cb = allowInterop(fullScreenChangedCallback);
-              var window = JsObject.fromBrowserObject(context['window']);
-              window.callMethod('addEventListener', ['fullscreenchange', cb]);
-              stream.callMethod('_requestFullscreen', []);
-            }).catchError((e) {
               final scaffold = ScaffoldMessenger.of(buildContext);
               scaffold.showSnackBar(
                 SnackBar(
-                  content: Text('${e.message}'),
+                  content: Text('${error['message']}'),
               ));
-            });
+            }
+
+            Map<String, dynamic> options = {
+              'targetElement': 'anbox-cloud-stream',
+              'screen': {
+                'width': 1280,
+                'height': 720
+              },
+              'connector': connector,
+              'callbacks': {
+                'error': errorCallback
+              }
+            };
+
+            // Failures to connect are shown by errorCallback already. The only
+            // other rejection is CLOSED, when leaving full screen before the
+            // stream started, which needs no message.
+            void connectFailed(dynamic error) {}
+
+            var stream = JsObject(context['AnboxStream'], [JsObject.jsify(options)]);
+            void fullScreenChangedCallback(JsObject ev) {
+              var doc = JsObject.fromBrowserObject(context['document']);
+              if(!doc['webkitIsFullScreen'] &&
+                 !doc['fullscreenchange'] &&
+                 !doc['mozfullscreenchange'] &&
+                 !doc['fullscreenElement']){
+                  stream.callMethod('disconnect', []);
+              } else {
+                  JsObject connected = stream.callMethod('connect', []);
+                  connected.callMethod('catch', [allowInterop(connectFailed)]);
+              }
+            }
+
+            var cb = allowInterop(fullScreenChangedCallback);
+            var window = JsObject.fromBrowserObject(context['window']);
+            window.callMethod('addEventListener', ['fullscreenchange', cb]);
+            stream.callMethod('_requestFullscreen', []);
           }),
           bottomNavigationBar: const SizedBox(
             child: Center(
@@ -0,0 +1,208 @@
+/*
+ * This file is part of Anbox Cloud Streaming SDK
+ *
+ * Copyright 2021 Canonical Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * Binary encoding of the input events of the Anbox Streaming SDK. Load this file
+ * before anbox-stream-sdk.js to be able to enable options.input.binary:
+ *
+ *     <script src="anbox-input-codec.js"></script>
+ *     <script src="anbox-stream-sdk.js"></script>
+ */
+
+// Compact encoding of the input events, used instead of JSON once Anbox accepted it
+// (see the "stream::input_codec" message). A message is one byte identifying its type
+// followed by its fields in little-endian order. A batch is the byte 0x80 and the
+// number of events as uint16 followed by the events. Events which don't fit the
+// layout below are sent as JSON.
+const _binaryInputCodec = {
+    name: 'binary-v1',
+
+    _batchID: 0x80,
+
+    _fieldTypes: {
+        bool: {size: 1, min: 0, max: 1},
+        int8: {size: 1, min: -0x80, max: 0x7f},
+        uint8: {size: 1, min: 0, max: 0xff},
+        int16: {size: 2, min: -0x8000, max: 0x7fff},
+        uint16: {size: 2, min: 0, max: 0xffff},
+        int32: {size: 4, min: -0x80000000, max: 0x7fffffff},
+        float32: {size: 4},
+    },
+
+    // Coordinates are floats as they are scaled to the size of the remote display.
+    // Types can have several layouts, the one with the fields of the event is used.
+    _messages: {
+        'key': {id: 1, fields: [['code', 'uint16'], ['pressed', 'bool']]},
+        'mouse-move': [
+            {id: 2, fields: [['x', 'float32'], ['y', 'float32'], ['rx', 'int32'], ['ry', 'int32']]},
+            // While the pointer is locked
+            {id: 10, fields: [['rx', 'int32'], ['ry', 'int32']]},
+        ],
+        'mouse-button': {id: 3, fields: [['button', 'uint8'], ['pressed', 'bool']]},
+        'mouse-wheel': {id: 4, fields: [['x', 'int8'], ['y', 'int8']]},
+        'touch-start': {id: 5, fields: [['id', 'int16'], ['x', 'float32'], ['y', 'float32']]},
+        'touch-move': {id: 6, fields: [['id', 'int16'], ['x', 'float32'], ['y', 'float32']]},
+        'touch-end': {id: 7, fields: [['id', 'int16']]},
+        'gamepad-button': {id: 8, fields: [['id', 'uint8'], ['index', 'uint8'], ['pressed', 'bool']]},
+        'gamepad-axes': {id: 9, fields: [['id', 'uint8'], ['index', 'uint8'], ['value', 'float32']]},
+    },
+
+    /**
+     * @param type {string} Input event type without the "input::" prefix, 'batch' for a batch of events
+     * @param data {object} Content of the event
+     * @returns {ArrayBuffer|null} The encoded event or null if it can't be represented
+     */
+    encode(type, data) {
+        const events = type === 'batch' ? data.events : [{type: type, data: data}]
+        if (type === 'batch' && events.length > 0xffff)
+            return null
+
+        let size = type === 'batch' ? 3 : 0
+        for (const event of events) {
+            const eventSize = this._size(event.type, event.data)
+            if (eventSize === null)
+                return null
+            size += eventSize
+        }
+
+        const view = new DataView(new ArrayBuffer(size))
+        let offset = 0
+        if (type === 'batch') {
+            view.setUint8(0, this._batchID)
+            view.setUint16(1, events.length, true)
+            offset = 3
+        }
+        for (const event of events)
+            offset = this._write(view, offset, event.type, event.data)
+        return view.buffer
+    },
+
+    /**
+     * @param buffer {ArrayBuffer} Message produced by encode()
+     * @returns {{type: string, data: object}} The decoded event
+     */
+    decode(buffer) {
+        const view = new DataView(buffer)
+        if (view.byteLength === 0)
+            throw new Error('empty binary input message')
+
+        let result = null
+        let offset = 0
+        if (view.getUint8(0) === this._batchID) {
+            if (view.byteLength < 3)
+                throw new Error('truncated binary input batch')
+            const count = view.getUint16(1, true)
+            const events = []
+            offset = 3
+            for (let n = 0; n < count; n++) {
+                const event = this._read(view, offset)
+                events.push({type: event.type, data: event.data})
+                offset = event.offset
+            }
+            result = {type: 'batch', data: {events: events}}
+        } else {
+            const event = this._read(view, 0)
+            offset = event.offset
+            result = {type: event.type, data: event.data}
+        }
+
+        if (offset !== view.byteLength)
+            throw new Error('trailing bytes in binary input message')
+        return result
+    },
+
+    _layout(type, data) {
+        if (!this._messages[type] || data === null || typeof(data) !== 'object')
+            return null
+        // Fields unknown to the layout would be lost
+        const layouts = [].concat(this._messages[type])
+        return layouts.find(layout => Object.keys(data).length === layout.fields.length &&
+            layout.fields.every(([name]) => name in data)) || null
+    },
+
+    _size(type, data) {
+        const message = this._layout(type, data)
+        if (message === null)
+            return null
+        let size = 1
+        for (const [name, fieldType] of message.fields) {
+            const value = data[name]
+            const spec = this._fieldTypes[fieldType]
+            if (fieldType === 'bool') {
+                if (typeof(value) !== 'boolean')
+                    return null
+            } else if (fieldType === 'float32') {
+                if (typeof(value) !== 'number' || !isFinite(value))
+                    return null
+            } else if (!Number.isInteger(value) || value < spec.min || value > spec.max) {
+                return null
+            }
+            size += spec.size
+        }
+        return size
+    },
+
+    _write(view, offset, type, data) {
+        const message = this._layout(type, data)
+        view.setUint8(offset++, message.id)
+        for (const [name, fieldType] of message.fields) {
+            const value = data[name]
+            switch (fieldType) {
+                case 'bool': view.setUint8(offset, value ? 1 : 0); break
+                case 'int8': view.setInt8(offset, value); break
+                case 'uint8': view.setUint8(offset, value); break
+                case 'int16': view.setInt16(offset, value, true); break
+                case 'uint16': view.setUint16(offset, value, true); break
+                case 'int32': view.setInt32(offset, value, true); break
+                case 'float32': view.setFloat32(offset, value, true); break
+            }
+            offset += this._fieldTypes[fieldType].size
+        }
+        return offset
+    },
+
+    _read(view, offset) {
+        if (offset >= view.byteLength)
+            throw new Error('truncated binary input message')
+        const id = view.getUint8(offset++)
+        const type = Object.keys(this._messages).find(t => [].concat(this._messages[t]).some(l => l.id === id))
+        if (type === undefined)
+            throw new Error(`unknown binary input message ${id}`)
+        const message = [].concat(this._messages[type]).find(l => l.id === id)
+        const size = message.fields.reduce((size, [, fieldType]) => size + this._fieldTypes[fieldType].size, 0)
+        if (offset + size > view.byteLength)
+            throw new Error(`truncated binary input message ${id}`)
+        const data = {}
+        for (const [name, fieldType] of message.fields) {
+            switch (fieldType) {
+                case 'bool': data[name] = view.getUint8(offset) !== 0; break
+                case 'int8': data[name] = view.getInt8(offset); break
+                case 'uint8': data[name] = view.getUint8(offset); break
+                case 'int16': data[name] = view.getInt16(offset, true); break
+                case 'uint16': data[name] = view.getUint16(offset, true); break
+                case 'int32': data[name] = view.getInt32(offset, true); break
+                case 'float32': data[name] = view.getFloat32(offset, true); break
+            }
+            offset += this._fieldTypes[fieldType].size
+        }
+        return {type: type, data: data, offset: offset}
+    },
+};
+
+// Also available as a CommonJS module, which the tests rely on
+if (typeof(module) !== "undefined" && module.exports)
+    module.exports = _binaryInputCodec
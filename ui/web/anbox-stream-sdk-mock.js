@@ -0,0 +1,432 @@
+/*
+ * This file is part of Anbox Cloud Streaming SDK
+ *
+ * Copyright 2021 Canonical Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * Test helpers negotiating a stream with the Anbox Streaming SDK without any
+ * Anbox Stream Gateway or Android instance. Load this file after anbox-stream-sdk.js:
+ *
+ *     <script src="anbox-stream-sdk.js"></script>
+ *     <script src="anbox-stream-sdk-mock.js"></script>
+ */
+
+class AnboxMockSignaler {
+    /**
+     * In-process signaler standing in for the Anbox Stream Gateway. Offers are answered
+     * locally by an AnboxLoopbackPeer, which allows negotiating a stream without any
+     * network access, or replying with errors to exercise failure paths:
+     *
+     *     const signaler = new AnboxMockSignaler({mode: 'error'})
+     *     const stream = new AnboxStream({
+     *         connector: {connect: async () => ({websocket: 'mock://', stunServers: []}), disconnect: () => {}},
+     *         signalerFactory: () => signaler,
+     *         ...
+     *     })
+     *
+     * @param [options] {object}
+     * @param [options.mode='answer'] {string} How the signaler behaves:
+     *        'answer' answers offers with the loopback peer,
+     *        'error' replies to offers with an error message,
+     *        'silent' accepts messages but never replies,
+     *        'fail' fails to connect.
+     * @param [options.latency=0] {number} Delay in milliseconds applied to every event delivered to the SDK.
+     * @param [options.errorMessage='mock signaler error'] {string} Message sent back in 'error' mode.
+     * @param [options.peer] {AnboxLoopbackPeer} Peer answering offers. Pass the same peer to every signaler
+     *        returned by the factory to support ICE restarts while reconnecting. Created on demand otherwise.
+     *
+     * The SDK closes the signaler once the stream is established, the peer keeps streaming until
+     * dispose() is called. A closed signaler can be connected again, so the factory may return the
+     * same signaler for every connection.
+     */
+    constructor(options) {
+        options = options || {}
+        this._mode = options.mode || 'answer'
+        this._latency = options.latency || 0
+        this._errorMessage = options.errorMessage || 'mock signaler error'
+        this._peer = options.peer || null
+        this._ownsPeer = this._nullOrUndef(options.peer)
+        this._open = false
+        this._closed = false
+        // Incremented on every connect() and close() so that events scheduled
+        // for a previous connection are dropped
+        this._generation = 0
+
+        if (!['answer', 'error', 'silent', 'fail'].includes(this._mode))
+            throw new AnboxStreamError(`invalid mock signaler mode "${this._mode}"`, AnboxErrorCode.INVALID_ARGUMENT);
+
+        this.url = null
+        this.sentMessages = []
+
+        this.onopen = null
+        this.onmessage = null
+        this.onerror = null
+        this.onclose = null
+    }
+
+    /**
+     * Loopback peer answering offers, if any was used yet.
+     * @returns {AnboxLoopbackPeer|null}
+     */
+    get peer() {
+        return this._peer
+    }
+
+    connect(url) {
+        this.url = url
+        this._closed = false
+        this._open = false
+        this._generation++
+        if (this._mode === 'fail') {
+            this._deliver(() => {
+                this._call(this.onerror, new Error('mock signaler failed to connect'))
+                this._call(this.onclose)
+            })
+            return
+        }
+        this._deliver(() => {
+            this._open = true
+            this._call(this.onopen)
+        })
+    }
+
+    send(msg) {
+        if (!this._open)
+            throw new Error('mock signaler is not open');
+        this.sentMessages.push(JSON.parse(JSON.stringify(msg)))
+
+        switch (msg.type) {
+            case 'offer':
+                this._onOffer(atob(msg.sdp))
+                break
+            case 'candidate':
+                if (this._peer !== null)
+                    this._peer.addCandidate({
+                        candidate: atob(msg.candidate),
+                        sdpMid: msg.sdpMid,
+                        sdpMLineIndex: msg.sdpMLineIndex,
+                    })
+                break
+            default:
+                break
+        }
+    }
+
+    isOpen() {
+        return this._open
+    }
+
+    close() {
+        if (this._closed)
+            return
+        this._closed = true
+        this._open = false
+        this._generation++
+        if (this._peer !== null)
+            this._peer.onicecandidate = null
+    }
+
+    /**
+     * Close the signaler and stop the loopback peer it created. Peers passed
+     * with options.peer are left to the caller to close.
+     */
+    dispose() {
+        this.close()
+        if (this._peer !== null && this._ownsPeer) {
+            this._peer.close()
+            this._peer = null
+        }
+    }
+
+    /**
+     * Deliver a message to the SDK as if it was sent by the signaling server.
+     * @param msg {object} Message such as {type: 'error', message: 'session terminated'}
+     */
+    receive(msg) {
+        this._deliver(() => this._call(this.onmessage, msg))
+    }
+
+    /**
+     * Simulate a transport error.
+     * @param [err] {Error}
+     */
+    fail(err) {
+        this._deliver(() => this._call(this.onerror, err || new Error('mock signaler error')))
+    }
+
+    _onOffer(sdp) {
+        switch (this._mode) {
+            case 'error':
+                this.receive({type: 'error', message: this._errorMessage})
+                return
+            case 'silent':
+                return
+        }
+
+        if (this._peer === null)
+            this._peer = new AnboxLoopbackPeer()
+        this._peer.onicecandidate = (candidate) => this.receive({
+            type: 'candidate',
+            candidate: btoa(candidate.candidate),
+            sdpMid: candidate.sdpMid,
+            sdpMLineIndex: candidate.sdpMLineIndex,
+        })
+        this._peer.answer(sdp)
+            .then((answer) => this.receive({type: 'answer', sdp: btoa(answer)}))
+            .catch((err) => this.receive({type: 'error', message: `loopback peer failed to answer: ${err}`}))
+    }
+
+    _deliver(fn) {
+        const generation = this._generation
+        window.setTimeout(() => {
+            if (!this._closed && generation === this._generation)
+                fn()
+        }, this._latency)
+    }
+
+    _call(handler, ...args) {
+        if (typeof(handler) === "function")
+            handler(...args)
+    }
+
+    _nullOrUndef(obj) {
+        return obj === null || obj === undefined
+    }
+}
+
+class AnboxLoopbackPeer {
+    /**
+     * Local WebRTC peer playing the part of an Android instance. It answers offers
+     * created by the SDK with a generated video (a canvas showing a frame counter)
+     * and audio (a sine tone) and exchanges control messages over the data channel.
+     * @param [options] {object}
+     * @param [options.width=640] {number} Width of the generated video
+     * @param [options.height=360] {number} Height of the generated video
+     * @param [options.frameRate=30] {number} Frame rate of the generated video
+     */
+    constructor(options) {
+        options = options || {}
+        this._width = options.width || 640
+        this._height = options.height || 360
+        this._frameRate = options.frameRate || 30
+
+        this._pc = null
+        this._controlChan = null
+        this._inputChan = null
+        this._pendingCandidates = []
+        this._media = null
+
+        this.receivedMessages = []
+
+        // Called with an RTCIceCandidate to forward to the SDK
+        this.onicecandidate = null
+        // Called with the type and data of every control message sent by the SDK
+        this.onmessage = null
+    }
+
+    /**
+     * Answer an offer. Offers coming from a new peer connection (a different DTLS
+     * fingerprint) start over with a new peer connection, others (e.g. ICE restarts)
+     * are renegotiated on the existing one.
+     * @param offer {string} SDP of the offer
+     * @returns {Promise<string>} SDP of the answer
+     */
+    async answer(offer) {
+        if (this._needsNewPeerConnection(offer))
+            this._createPeerConnection()
+        const pc = this._pc
+
+        await pc.setRemoteDescription({type: 'offer', sdp: offer})
+        if (this._media === null)
+            this._createMedia()
+        await this._attachMedia(pc)
+
+        for (const candidate of this._pendingCandidates)
+            await pc.addIceCandidate(candidate)
+        this._pendingCandidates = []
+
+        const answer = await pc.createAnswer()
+        await pc.setLocalDescription(answer)
+        return pc.localDescription.sdp
+    }
+
+    /**
+     * Add a remote ICE candidate. Candidates received before the offer are queued.
+     * @param candidate {object} Object with candidate, sdpMid and sdpMLineIndex properties
+     */
+    async addCandidate(candidate) {
+        if (this._pc === null || this._pc.remoteDescription === null) {
+            this._pendingCandidates.push(candidate)
+            return
+        }
+        await this._pc.addIceCandidate(candidate)
+    }
+
+    /**
+     * Send a control message to the SDK, as Anbox would.
+     * @param type {string} Type of the message e.g. 'ime-state'
+     * @param data {object} Payload of the message
+     * @returns {boolean} false if the control channel is not open yet
+     */
+    sendControlMessage(type, data) {
+        if (this._controlChan === null || this._controlChan.readyState !== 'open')
+            return false
+        this._controlChan.send(JSON.stringify({type: type, data: data}))
+        return true
+    }
+
+    close() {
+        this._closePeerConnection()
+        if (this._media !== null) {
+            window.clearInterval(this._media.timer)
+            this._media.stream.getTracks().forEach(track => track.stop())
+            if (this._media.audioContext !== null)
+                this._media.audioContext.close()
+            this._media = null
+        }
+    }
+
+    _needsNewPeerConnection(offer) {
+        if (this._pc === null || this._pc.remoteDescription === null)
+            return true
+        const fingerprint = (sdp) => (sdp.match(/a=fingerprint:.*/) || [''])[0]
+        return fingerprint(this._pc.remoteDescription.sdp) !== fingerprint(offer)
+    }
+
+    _createPeerConnection() {
+        this._closePeerConnection()
+        this._pc = new RTCPeerConnection({iceServers: []})
+        this._pc.onicecandidate = (event) => {
+            if (event.candidate !== null && event.candidate.candidate !== "" && typeof(this.onicecandidate) === "function")
+                this.onicecandidate(event.candidate)
+        }
+        this._pc.ondatachannel = (event) => {
+            if (event.channel.label === 'input') {
+                this._inputChan = event.channel
+                this._inputChan.binaryType = 'arraybuffer'
+                // Let the SDK know the channel is read so that it starts using it
+                this._inputChan.onopen = () => this._inputChan.send(JSON.stringify({type: 'input::ready'}))
+                this._inputChan.onmessage = (e) => {
+                    const msg = this._parseMessage(e.data)
+                    this.receivedMessages.push(msg)
+                    if (typeof(this.onmessage) === "function")
+                        this.onmessage(msg.type, msg.data)
+                }
+                return
+            }
+            if (event.channel.label !== 'control')
+                return
+            this._controlChan = event.channel
+            this._controlChan.binaryType = 'arraybuffer'
+            this._controlChan.onmessage = (e) => {
+                const msg = this._parseMessage(e.data)
+                if (msg.type === 'stream::ping') {
+                    this.sendControlMessage('stream::pong', msg.data)
+                    return
+                }
+                if (msg.type === 'stream::input_codec') {
+                    // The binary codec is only available when anbox-input-codec.js is loaded
+                    const binary = typeof(_binaryInputCodec) !== "undefined" && msg.data.codecs.includes(_binaryInputCodec.name)
+                    const codec = binary ? _binaryInputCodec.name : 'json'
+                    this.sendControlMessage('stream::input_codec', {codec: codec})
+                    return
+                }
+                this.receivedMessages.push(msg)
+                if (typeof(this.onmessage) === "function")
+                    this.onmessage(msg.type, msg.data)
+            }
+        }
+    }
+
+    // Input events are either JSON or binary, see _binaryInputCodec in anbox-input-codec.js
+    _parseMessage(data) {
+        if (typeof(data) === 'string')
+            return JSON.parse(data)
+        const event = _binaryInputCodec.decode(data)
+        return {type: 'input::' + event.type, data: event.data}
+    }
+
+    _closePeerConnection() {
+        this._pendingCandidates = []
+        this._controlChan = null
+        this._inputChan = null
+        if (this._pc === null)
+            return
+        this._pc.onicecandidate = null
+        this._pc.ondatachannel = null
+        this._pc.close()
+        this._pc = null
+    }
+
+    _createMedia() {
+        const canvas = document.createElement('canvas')
+        canvas.width = this._width
+        canvas.height = this._height
+        const ctx = canvas.getContext('2d')
+        let frame = 0
+        const draw = () => {
+            ctx.fillStyle = '#2c001e'
+            ctx.fillRect(0, 0, canvas.width, canvas.height)
+            ctx.fillStyle = '#ffffff'
+            ctx.font = `${Math.round(canvas.height / 8)}px monospace`
+            ctx.fillText(`frame ${frame++}`, canvas.width / 10, canvas.height / 2)
+        }
+        draw()
+
+        const stream = canvas.captureStream(this._frameRate)
+        let audioContext = null
+        if (typeof(AudioContext) !== "undefined") {
+            audioContext = new AudioContext()
+            const oscillator = audioContext.createOscillator()
+            const destination = audioContext.createMediaStreamDestination()
+            oscillator.connect(destination)
+            oscillator.start()
+            destination.stream.getAudioTracks().forEach(track => stream.addTrack(track))
+        }
+
+        this._media = {
+            stream: stream,
+            audioContext: audioContext,
+            timer: window.setInterval(draw, 1000 / this._frameRate),
+        }
+    }
+
+    async _attachMedia(pc) {
+        const stream = this._media.stream
+        const transceivers = pc.getTransceivers()
+        // The SDK receives the video on its last video transceiver. The first one is
+        // used to send the camera when enabled.
+        const targets = [
+            transceivers.filter(t => t.receiver.track.kind === 'video').pop(),
+            transceivers.find(t => t.receiver.track.kind === 'audio'),
+        ]
+
+        for (const track of stream.getTracks()) {
+            const transceiver = targets.find(t => t && t.receiver.track.kind === track.kind)
+            if (!transceiver || transceiver.sender.track !== null)
+                continue
+            if (typeof(transceiver.sender.setStreams) === "function") {
+                transceiver.direction = 'sendrecv'
+                await transceiver.sender.replaceTrack(track)
+                transceiver.sender.setStreams(stream)
+            } else {
+                pc.addTrack(track, stream)
+            }
+        }
+    }
+}
+
+window.AnboxMockSignaler = AnboxMockSignaler;
+window.AnboxLoopbackPeer = AnboxLoopbackPeer;
@@ -15,16 +15,144 @@
  * See the License for the specific language governing permissions and
  * limitations under the License.
  */
+/**
+ * Machine readable codes of the errors reported by the SDK. The values are stable
+ * and can be relied on to decide how to react to an error.
+ */
+const AnboxErrorCode = Object.freeze({
+    // Generic
+    UNKNOWN: 'UNKNOWN',
+    INVALID_ARGUMENT: 'INVALID_ARGUMENT',
+    INVALID_STATE: 'INVALID_STATE',
+    UNSUPPORTED: 'UNSUPPORTED',
+    TIMEOUT: 'TIMEOUT',
+    CONNECT_TIMEOUT: 'CONNECT_TIMEOUT',
+    CONNECT_IN_PROGRESS: 'CONNECT_IN_PROGRESS',
+    ABORTED: 'ABORTED',
+    CLOSED: 'CLOSED',
+    // Signaling
+    SIGNALING_TIMEOUT: 'SIGNALING_TIMEOUT',
+    SIGNALING_FAILED: 'SIGNALING_FAILED',
+    SIGNALER_ERROR: 'SIGNALER_ERROR',
+    // WebRTC connection
+    ICE_FAILED: 'ICE_FAILED',
+    CONNECTION_LOST: 'CONNECTION_LOST',
+    OFFER_FAILED: 'OFFER_FAILED',
+    ANSWER_FAILED: 'ANSWER_FAILED',
+    CONTROL_CHANNEL_FAILED: 'CONTROL_CHANNEL_FAILED',
+    // Stream gateway and connectors
+    CONNECTOR_FAILED: 'CONNECTOR_FAILED',
+    GATEWAY_AUTH: 'GATEWAY_AUTH',
+    GATEWAY_UNREACHABLE: 'GATEWAY_UNREACHABLE',
+    GATEWAY_TIMEOUT: 'GATEWAY_TIMEOUT',
+    GATEWAY_ERROR: 'GATEWAY_ERROR',
+    SESSION_GONE: 'SESSION_GONE',
+    INVALID_SESSION: 'INVALID_SESSION',
+    // Client devices
+    DEVICE_DENIED: 'DEVICE_DENIED',
+    DEVICE_UNAVAILABLE: 'DEVICE_UNAVAILABLE',
+});
+
+class AnboxStreamError extends Error {
+    /**
+     * Base class of all errors reported by the SDK when a stream fails.
+     * @param message {string} Human readable description of the error
+     * @param [code="UNKNOWN"] {string} Machine readable error code, see AnboxErrorCode
+     * @param [options] {object}
+     * @param [options.recoverable=false] {boolean} Whether trying again (e.g. reconnecting) may succeed
+     * @param [options.cause] {*} Underlying error which led to this one
+     */
+    constructor(message, code, options) {
+        super(message);
+        this.name = 'AnboxStreamError';
+        this.code = code || AnboxErrorCode.UNKNOWN;
+        this.recoverable = options?.recoverable || false;
+        this.cause = options?.cause;
+    }
+}
+
+/**
+ * Error during the signaling process with the Android instance.
+ */
+class AnboxSignalingError extends AnboxStreamError {
+    constructor(message, code, options) {
+        super(message, code, options);
+        this.name = 'AnboxSignalingError';
+    }
+}
+
+/**
+ * Error establishing or maintaining the WebRTC connection.
+ */
+class AnboxConnectionError extends AnboxStreamError {
+    constructor(message, code, options) {
+        super(message, code, options);
+        this.name = 'AnboxConnectionError';
+    }
+}
+
+/**
+ * Error communicating with the Stream Gateway or the service behind a connector.
+ */
+class AnboxGatewayError extends AnboxStreamError {
+    /**
+     * @param message {string} Human readable description of the error
+     * @param [code="UNKNOWN"] {string} Machine readable error code, see AnboxErrorCode
+     * @param [options] {object} See AnboxStreamError
+     * @param [options.status] {number} HTTP status code returned by the gateway, if any
+     * @param [options.gatewayMessage] {string} Error message returned by the gateway, if any
+     */
+    constructor(message, code, options) {
+        super(message, code, options);
+        this.name = 'AnboxGatewayError';
+        this.status = options?.status;
+        this.gatewayMessage = options?.gatewayMessage;
+    }
+}
+
+/**
+ * Error accessing a device (camera, microphone, gamepad) of the client.
+ */
+class AnboxDeviceError extends AnboxStreamError {
+    /**
+     * @param message {string} Human readable description of the error
+     * @param [code="UNKNOWN"] {string} Machine readable error code, see AnboxErrorCode
+     * @param [options] {object} See AnboxStreamError
+     * @param [options.device] {string} Device which failed, "camera", "microphone" or "gamepad"
+     */
+    constructor(message, code, options) {
+        super(message, code, options);
+        this.name = 'AnboxDeviceError';
+        this.device = options?.device;
+    }
+}
+
 class AnboxStream {
     /**
      * AnboxStream creates a connection between your client and an Android instance and
      * displays its video & audio feed in an HTML5 player
      * @param options: {object}
-     * @param options.connector {object} WebRTC Stream connector.
+     * @param options.connector {object} WebRTC Stream connector. Its connect() method returns (a promise of) the session
+     *        {id, websocket, stunServers, app}. Custom connectors must set app, the name of the application of the session,
+     *        for the key map profiles of options.keyMap to apply.
      * @param options.targetElement {string} ID of the DOM element to attach the video to.
      * @param [options.fullScreen] {boolean} Stream video in full screen mode. (default: false)
      * @param [options.deviceType] {string} Send the type of device the SDK is running on to the Android container.
      * @param [options.enableStats] {boolean} Enable collection of statistics. Not recommended in production.
+     * @param [options.statsOverlay] {object} Appearance of the overlay displayed by showStatistics().
+     * @param [options.statsOverlay.position='top-left'] {string} Corner of the video container the overlay is displayed in: 'top-left', 'top-right', 'bottom-left' or 'bottom-right'.
+     * @param [options.statsOverlay.mode='detailed'] {string} 'detailed' displays the selected groups of statistics, 'compact' only the key metrics (fps, bandwidth, RTT, packet loss and resolution).
+     * @param [options.statsOverlay.groups] {string[]} Groups of statistics displayed in detailed mode, among 'rtcConfig', 'network', 'video', 'videoInput' and 'audioOutput'. All by default.
+     * @param [options.statsOverlay.graphs=true] {boolean} Draw graphs of the video bandwidth, fps and RTT over the last minute.
+     * @param [options.statsOverlay.width=250] {number} Width of the overlay in pixels.
+     * @param [options.statsOverlay.theme] {object} Colors and font of the overlay.
+     * @param [options.statsOverlay.theme.backgroundColor='rgba(0,0,0,0.75)'] {string} CSS background color.
+     * @param [options.statsOverlay.theme.color='white'] {string} CSS text color.
+     * @param [options.statsOverlay.theme.graphColor='#0e8420'] {string} CSS color of the graph lines.
+     * @param [options.statsOverlay.theme.fontSize='x-small'] {string} CSS font size.
+     * @param [options.statsOverlay.toggleShortcut] {string} Key combination showing or hiding the overlay while streaming, e.g. 'Ctrl+Shift+S'.
+     *        The combination is not forwarded to the Android instance. Requires options.enableStats. Disabled by default.
+     * @param [options.statsHistorySize=300] {number} Number of statistics samples (one per second) kept in the history, see getStatsHistory().
      * @param [options.stunServers] {object[]} List of additional STUN/TURN servers.
      * @param [options.stunServers[].urls] {string[]} URLs the same STUN/TURN server can be reached on.
      * @param [options.stunServers[].username] {string} Username used when authenticating with the STUN/TURN server.
@@ -38,15 +166,126 @@ class AnboxStream {
      * @param [options.controls.emulateTouch=false] {boolean} Emulate touchscreen by converting mouse inputs to touch inputs
      * @param [options.controls.mouse=true] {boolean} Send mouse events to the Android instance.
      * @param [options.controls.gamepad=true] {boolean} Send gamepad events to the Android instance.
+     * @param [options.controls.sidedModifiers=false] {boolean} Send the left and right Control, Shift, Alt and Meta keys as distinct keys
+     *        when they are pressed instead of the modifier state collapsed over both sides along with the next key.
+     *        Requires an Anbox version supporting the HID modifier usages (224 to 231). Key maps can only target these keys when enabled.
+     * @param [options.controls.shortcuts] {object} Which key combinations are left to the browser instead of being sent to the
+     *        Android instance. Combinations are written like 'Ctrl+Shift+I', see options.statsOverlay.toggleShortcut.
+     *        A '*' matches the combination whatever the state of the modifiers not listed, e.g. '*+F5' also matches Ctrl+F5.
+     * @param [options.controls.shortcuts.passthrough] {string[]} Combinations handled by the browser. Defaults to reloading
+     *        ('*+F5', 'Ctrl+*+R'), the developer tools ('Ctrl+Shift+*+I', '*+F12') and fullscreen ('*+F11').
+     *        Set it to an empty list to send every key to the Android instance, e.g. for kiosks.
+     * @param [options.controls.shortcuts.block=[]] {string[]} Combinations always sent to the Android instance, even when
+     *        part of the passthrough list.
+     * @param [options.controls.shortcuts.release=null] {string} Combination releasing the keyboard capture, see releaseKeyboard().
+     * @param [options.controls.pointerLockRequests=true] {boolean} Lock the pointer when the Android application asks for it,
+     *        see requestPointerLock().
+     * @param [options.controls.keyboardLock=false] {boolean} While in fullscreen, lock the keyboard with the Keyboard Lock API
+     *        so that keys otherwise caught by the browser or the operating system (Escape, Alt+Tab, ...) reach the Android
+     *        instance. Fullscreen is then left by holding Escape. Only supported by Chromium based browsers.
+     * @param [options.input] {object} How input events are sent to the Android instance.
+     * @param [options.input.coalesceMoves=true] {boolean} Only send the latest position of each pointer once per animation frame.
+     * @param [options.input.batch=false] {boolean} Send the input events of an animation frame in a single "input::batch" message.
+     *        Requires an Anbox version supporting batches.
+     * @param [options.input.maxBufferedAmount=65536] {number} Number of bytes queued on the channel carrying pointer moves above
+     *        which they are held back and coalesced until the channel catches up.
+     * @param [options.input.unreliable=true] {boolean} Send pointer moves and gamepad axes over an unordered data channel without
+     *        retransmissions so that a lost update never delays the following ones. Key, button and IME events stay on the
+     *        reliable control channel, as well as the moves beginning or ending a touch and the axes values close to the center.
+     *        Without options.input.coalesceMoves, the last move of a touch is not held back and may arrive after its end.
+     *        Falls back to the control channel if Anbox does not support it.
+     * @param [options.input.binary=false] {boolean} Send input events in a compact binary format instead of JSON to reduce their
+     *        size and encoding cost. Anbox is asked for it when connecting, JSON is kept if it does not support it. Requires
+     *        anbox-input-codec.js to be loaded before the SDK.
+     * @param [options.keyMap] {object} Bind keys to other keys, touch taps or gamepad buttons before they are sent, see setKeyMap().
+     * @param [options.keyMap.map] {object} Key map used for every application without a profile.
+     * @param [options.keyMap.profiles] {object} Key maps by application name. The profile of the application of the session
+     *        returned by the connector (session.app) replaces the default key map.
+     * @param [options.gamepad] {object} How the buttons and axes of gamepads are translated to the standard layout, see setGamepadProfile().
+     * @param [options.gamepad.profiles] {object} Gamepad profiles by gamepad.id. They replace the built-in profiles of known controllers.
+     * @param [options.gamepad.deadzone=0] {number} Fraction of the range of the axes, around their center, reported as 0. Profiles can
+     *        set it per axis.
      * @param [options.foregroundActivity] {string} Activity to be displayed in the foreground. NOTE: it only works with an application that has APK provided on its creation.
-     * @param [options.callbacks] {object} A list of callbacks to react on stream lifecycle events.
+     * @param [options.reconnect] {object} Configuration of the automatic reconnection when the WebRTC connection is lost.
+     * @param [options.reconnect.maxAttempts=3] {number} Number of reconnection attempts before giving up. Set to 0 to disable reconnecting.
+     * @param [options.reconnect.initialDelay=1000] {number} Time in milliseconds to wait before the first reconnection attempt.
+     * @param [options.reconnect.backoffFactor=2] {number} Factor the delay is multiplied by after each failed attempt.
+     * @param [options.reconnect.maxDelay=10000] {number} Upper bound in milliseconds of the delay between two attempts.
+     * @param [options.reconnect.disconnectedTimeout=3000] {number} Time in milliseconds the connection may stay disconnected before reconnecting.
+     * @param [options.reconnect.attemptTimeout=15000] {number} Time in milliseconds a single attempt may take before it is considered failed.
+     * @param [options.ping] {object} Measure the latency up to the Android instance by exchanging messages over the control channel.
+     *        Unlike network.currentRtt it includes the processing time in Anbox, see network.appRtt in showStatistics().
+     * @param [options.ping.enable=false] {boolean} Enable pings. Requires an Anbox version answering them.
+     * @param [options.ping.interval=1000] {number} Time in milliseconds between two pings.
+     * @param [options.ping.missedPongs=5] {number} Number of consecutive unanswered pings after which the connection is considered
+     *        lost and a reconnection is attempted. Only applies once a first answer was received. 0 disables it.
+     * @param [options.networkQuality] {object} Rate the network quality as 'excellent', 'good', 'poor' or 'bad' from the
+     *        round trip time, packet loss and bandwidth of the stream, see getNetworkQuality().
+     * @param [options.networkQuality.enable=false] {boolean} Enable the rating. Enabled by default when the indicator is.
+     * @param [options.networkQuality.indicator=false] {boolean} Display signal bars reflecting the rating in the video container.
+     * @param [options.networkQuality.indicatorPosition='bottom-right'] {string} Corner of the video container the indicator is
+     *        displayed in: 'top-left', 'top-right', 'bottom-left' or 'bottom-right'.
+     * @param [options.adaptiveQuality] {object} Adapt the quality of the stream to the network conditions. Anbox is asked to
+     *        lower or raise the resolution, frame rate and bitrate of the video through quality levels.
+     * @param [options.adaptiveQuality.enable=false] {boolean} Enable the adaptive quality control.
+     * @param [options.adaptiveQuality.levels] {object[]} Quality levels ordered from the best to the worst one. Defaults to
+     *        'high' (1080p, 60fps, 8Mbit/s), 'medium' (720p, 30fps, 4Mbit/s), 'low' (480p, 30fps, 2Mbit/s) and 'minimal' (360p, 20fps, 1Mbit/s).
+     * @param options.adaptiveQuality.levels[].name {string} Name of the level.
+     * @param options.adaptiveQuality.levels[].height {number} Maximum height of the video in pixels.
+     * @param options.adaptiveQuality.levels[].fps {number} Maximum frame rate of the video.
+     * @param options.adaptiveQuality.levels[].bitrate {number} Maximum bitrate of the video in kbit/s.
+     * @param [options.adaptiveQuality.initialLevel=0] {number|string} Index or name of the level to start with.
+     * @param [options.adaptiveQuality.downgrade] {object} Thresholds above which a sample is considered bad.
+     * @param [options.adaptiveQuality.downgrade.packetLoss=0.05] {number} Ratio of video packets lost.
+     * @param [options.adaptiveQuality.downgrade.rtt=300] {number} Round trip time in milliseconds.
+     * @param [options.adaptiveQuality.downgrade.jitter=50] {number} Video jitter in milliseconds.
+     * @param [options.adaptiveQuality.downgrade.fps=0] {number} Frame rate below which a sample is considered bad, provided the
+     *        network does not meet the upgrade thresholds either. Applications render fewer frames when their display doesn't
+     *        change, so a low frame rate alone is no sign of congestion. Disabled by default.
+     * @param [options.adaptiveQuality.upgrade] {object} Thresholds below which a sample is considered good.
+     * @param [options.adaptiveQuality.upgrade.packetLoss=0.01] {number} Ratio of video packets lost.
+     * @param [options.adaptiveQuality.upgrade.rtt=150] {number} Round trip time in milliseconds.
+     * @param [options.adaptiveQuality.upgrade.jitter=20] {number} Video jitter in milliseconds.
+     * @param [options.adaptiveQuality.downgradeAfter=3] {number} Number of consecutive bad samples (one per second) before lowering the quality.
+     * @param [options.adaptiveQuality.upgradeAfter=10] {number} Number of consecutive good samples before raising the quality.
+     * @param [options.adaptiveQuality.cooldown=5000] {number} Minimum time in milliseconds between two changes.
+     * @param [options.adaptiveQuality.policy] {function} Replace the threshold based policy. Called every second with a sample
+     *        ({packetLoss, rtt, jitter, fps}) and the current level, returns 'downgrade', 'upgrade' or 'keep'.
+     * @param [options.telemetry] {object} Report stream quality metrics and lifecycle events (connect time, time to first frame,
+     *        errors, reconnections, statistics) to a telemetry reporter. Unless options.telemetry.statsInterval is 0, this turns
+     *        on the collection of statistics like options.enableStats does, for every connection including the ones left out by
+     *        options.telemetry.sampleRate. Set statsInterval to 0 to only report lifecycle events without that overhead.
+     * @param options.telemetry.reporter {object} Reporter receiving the events, e.g. an AnboxHttpTelemetryReporter. A reporter
+     *        implements report(event) and optionally flush(), called when the stream stops.
+     * @param [options.telemetry.sampleRate=1] {number} Ratio of the connections which are reported, between 0 and 1.
+     * @param [options.telemetry.statsInterval=5] {number} Report one statistics sample every statsInterval seconds. 0 disables
+     *        reporting statistics, and collecting them unless options.enableStats is set.
+     * @param [options.signalerFactory] {function} Function returning a new signaler every time the SDK contacts the signaling server.
+     *        Defaults to an AnboxWebSocketSignaler. See AnboxMockSignaler in anbox-stream-sdk-mock.js
+     *        to negotiate a stream without any gateway.
+     * @param [options.callbacks] {object} A list of callbacks to react on stream lifecycle events. Each callback is
+     *        subscribed to the event of the same name, see on().
+     * @param [options.callbacks.connecting=none] {function} Called when connect() starts establishing the stream.
+     * @param [options.callbacks.signaling=none] {function} Called when the signaling process with the Android instance starts.
+     * @param [options.callbacks.iceStateChanged=none] {function} Called with the new state when the ICE connection state changes.
      * @param [options.callbacks.ready=none] {function} Called when the video and audio stream are ready to be inserted in the DOM.
-     * @param [options.callbacks.error=none] {function} Called on stream error with the message as parameter.
+     * @param [options.callbacks.error=none] {function} Called on stream error with an AnboxStreamError as parameter.
      * @param [options.callbacks.done=none] {function} Called when the stream is closed.
      * @param [options.callbacks.messageReceived=none] {function} Called when a message is received from Anbox.
      * @param [options.callbacks.statsUpdated=none] {function} Called when the overall webrtc peer connection statistics are updated.
      * @param [options.callbacks.requestCameraAccess=none] {function} Called when Android application tries to open camera device for video streaming.
      * @param [options.callbacks.requestMicrophoneAccess=none] {function} Called when Android application tries to open microphone device for video streaming.
+     * @param [options.callbacks.reconnecting=none] {function} Called when the connection was lost and a reconnection attempt is started, with the attempt number and the maximum number of attempts as parameters.
+     * @param [options.callbacks.reconnected=none] {function} Called when the connection was successfully reestablished.
+     * @param [options.callbacks.orientationChanged=none] {function} Called with the new orientation when the video was rotated.
+     * @param [options.callbacks.imeStateChanged=none] {function} Called with true when the Android IME is shown and false when it's hidden.
+     * @param [options.callbacks.keyboardCaptured=none] {function} Called with true when keyboard events start being captured and false when released.
+     * @param [options.callbacks.sessionSummary=none] {function} Called when the stream is stopped with a summary of the statistics of the session, see getSessionSummary().
+     * @param [options.callbacks.networkQualityChanged=none] {function} Called with the new rating ('excellent', 'good', 'poor' or 'bad') and the averaged metrics it is based on ({rtt, packetLoss, bandwidthMbit}) when the network quality changes. Requires options.networkQuality.enable.
+     * @param [options.callbacks.unmappedKey=none] {function} Called with the KeyboardEvent.code and KeyboardEvent.key of a key that could not be
+     *        sent because it has no scancode, and whether it was pressed. Helps debugging keyboard layouts.
+     * @param [options.callbacks.pointerLockChanged=none] {function} Called with true when the pointer is locked to the video and false when it is released.
+     * @param [options.callbacks.qualityChanged=none] {function} Called with the new quality level and the reason of the change ('degraded' or 'improved') when the adaptive quality control changed the stream quality.
      * @param [options.experimental] {object} Experimental features. Not recommended on production.
      * @param [options.experimental.disableBrowserBlock=false] {boolean} Don't throw an error if an unsupported browser is detected.
      * @param [options.experimental.emulatePointerEvent=false] {boolean} Emulate pointer events when their coordinates are outside of the video element.
@@ -54,7 +293,7 @@ class AnboxStream {
      */
     constructor(options) {
         if (this._nullOrUndef(options))
-            throw new Error('invalid options');
+            throw new AnboxStreamError('invalid options', AnboxErrorCode.INVALID_ARGUMENT);
 
         this._fillDefaults(options);
         this._validateOptions(options);
@@ -63,9 +302,22 @@ class AnboxStream {
         if (!this._options.experimental.disableBrowserBlock)
             this._detectUnsupportedBrowser();
 
+        this._events = new _eventEmitter();
+        for (const event of _streamEvents) {
+            if (typeof(this._options.callbacks[event]) === "function")
+                this._events.on(event, this._options.callbacks[event]);
+        }
+
         this._id = Math.random().toString(36).substr(2, 9);
+
+        this._telemetry = null
+        if (!this._nullOrUndef(this._options.telemetry)) {
+            this._telemetry = new _telemetryRecorder(this._options.telemetry, this._id)
+            this._telemetry.attach(this._events)
+        }
         this._containerID = options.targetElement;
         this._videoID = 'anbox-stream-video-' + this._id;
+        this._networkIndicatorID = 'anbox-stream-network-' + this._id;
         this._audioID = 'anbox-stream-audio-' + this._id;
 
         // WebRTC
@@ -75,30 +327,59 @@ class AnboxStream {
             enableCamera: this._options.devices.camera,
             deviceType: this._options.deviceType,
             foregroundActivity: this._options.foregroundActivity,
+            reconnect: this._options.reconnect,
+            signalerFactory: this._options.signalerFactory,
+            adaptiveQuality: this._options.adaptiveQuality,
+            networkQuality: this._options.networkQuality,
+            ping: this._options.ping,
+            unreliableInput: this._options.input.unreliable,
+            binaryInput: this._options.input.binary,
             stats: {
                 overlayID: this._containerID,
-                enable: this._options.enableStats
+                enable: this._options.enableStats || (this._telemetry !== null && this._options.telemetry.statsInterval > 0),
+                historySize: this._options.statsHistorySize,
+                overlay: this._options.statsOverlay
             },
             debug: this._options.experimental.debug
         })
         this._webrtcManager.onReady(this._webrtcReady.bind(this))
         this._webrtcManager.onError(this._stopStreamingOnError.bind(this))
         this._webrtcManager.onClose(this._stopStreaming.bind(this))
-        this._webrtcManager.onStatsUpdated(this._options.callbacks.statsUpdated)
-        this._webrtcManager.onMessage(this._options.callbacks.messageReceived)
+        this._webrtcManager.onStatsUpdated((stats) => this._events.emit('statsUpdated', stats))
+        this._webrtcManager.onMessage((type, data) => this._events.emit('messageReceived', type, data))
         this._webrtcManager.onCameraRequested(this._options.callbacks.requestCameraAccess)
         this._webrtcManager.onMicrophoneRequested(this._options.callbacks.requestMicrophoneAccess)
         this._webrtcManager.onIMEStateChanged(this._IMEStateChanged.bind(this))
+        this._webrtcManager.onPointerLockRequested(this._pointerLockRequested.bind(this))
+        this._webrtcManager.onSignaling(() => this._events.emit('signaling'))
+        this._webrtcManager.onIceStateChanged((state) => this._events.emit('iceStateChanged', state))
+        this._webrtcManager.onReconnecting((attempt, maxAttempts) => this._events.emit('reconnecting', attempt, maxAttempts))
+        this._webrtcManager.onReconnected(this._webrtcReconnected.bind(this))
+        this._webrtcManager.onSessionSummary((summary) => this._events.emit('sessionSummary', summary))
+        this._webrtcManager.onNetworkQualityChanged(this._networkQualityChanged.bind(this))
+        this._webrtcManager.onQualityChanged((level, reason) => this._events.emit('qualityChanged', level, reason))
+        this._webrtcManager.onSessionRequested(this._requestReconnectSession.bind(this))
+
+        this._inputBatcher = new _inputBatcher(
+            (type, data, reliable) => this._webrtcManager.sendInputMessage(type, data, reliable),
+            () => this._webrtcManager.getInputBufferedAmount(),
+            this._options.input)
 
         // Control options
         this._modifierState = 0;
         this._dimensions = null;
-        this._gamepadManager = null;
+        this._gamepadMapper = new _gamepadMapper(this._options.gamepad);
+        this._gamepadManager = new _gamepadEventManager(this._sendInputEvent.bind(this), this._gamepadMapper);
 
         this._originalOrientation = null;
         this._currentRotation = 0;
         this._primaryTouchId = 0;
         this._pointersOutofBounds = {};
+        this._keyboardCaptured = false;
+        this._pendingConnect = null;
+        this._keyMapper = new _keyMapper(this._options.keyMap, this._options.controls.sidedModifiers);
+        // Touch ids of the taps bound to keys which are held down
+        this._keyTaps = {};
 
         this.controls = {
             touch: {
@@ -115,6 +396,31 @@ class AnboxStream {
             }
         }
 
+        this._statsOverlayShortcut = null
+        if (this._options.statsOverlay.toggleShortcut !== null)
+            this._statsOverlayShortcut = _shortcuts.parse(this._options.statsOverlay.toggleShortcut)
+        this._statsOverlayShortcutDown = false
+        this._onStatsOverlayShortcut = this._onStatsOverlayShortcut.bind(this);
+
+        this._passthroughShortcuts = this._options.controls.shortcuts.passthrough.map(combo => _shortcuts.parse(combo))
+        this._blockedShortcuts = this._options.controls.shortcuts.block.map(combo => _shortcuts.parse(combo))
+        this._releaseShortcut = null
+        if (this._options.controls.shortcuts.release !== null)
+            this._releaseShortcut = _shortcuts.parse(this._options.controls.shortcuts.release)
+        // Scancodes sent as pressed, released when the keyboard is not captured anymore
+        this._pressedKeys = new Set()
+        // Key map targets of the keys held down by KeyboardEvent.code, undefined for
+        // keys which are not remapped
+        this._keyTargets = new Map()
+
+        // A lock which could not be granted, e.g. without user activation, is retried
+        // on the next click on the video
+        this._pointerLocked = false
+        this._pointerLockPending = false
+        this._onPointerLockChange = this._onPointerLockChange.bind(this);
+        this._onPointerLockError = this._onPointerLockError.bind(this);
+        this._updateKeyboardLock = this._updateKeyboardLock.bind(this);
+
         this.releaseKeyboard = this.releaseKeyboard.bind(this);
         this.captureKeyboard = this.captureKeyboard.bind(this);
         this._onResize = this._onResize.bind(this);
@@ -122,8 +428,40 @@ class AnboxStream {
 
     /**
      * Connect a new instance for the configured application or attach to an existing one
+     *
+     * The returned promise resolves once the video is playing. If the stream fails
+     * before, it rejects with an AnboxStreamError. Among others, its code can be:
+     *   CONNECTOR_FAILED, GATEWAY_AUTH, SESSION_GONE: The connector failed to provide a session.
+     *   SIGNALING_TIMEOUT: The signaling process with the Android instance did not complete in time.
+     *   ICE_FAILED: No WebRTC connection could be established via ICE.
+     *   DEVICE_DENIED: Access to a camera or microphone requested by the Android application was denied.
+     *   CONNECT_TIMEOUT: The connection did not complete within options.timeout.
+     *   ABORTED: options.signal was aborted.
+     *   CLOSED: The stream was closed before it started playing.
+     *   CONNECT_IN_PROGRESS: connect() was called again before the previous call settled. The pending
+     *       connection is not affected.
+     * See AnboxErrorCode for the complete list. Errors are reported to "error" event handlers as well.
+     *
+     * @param [options] {object}
+     * @param [options.timeout=0] {number} Time in milliseconds after which the connection attempt is given up. 0 means no timeout.
+     * @param [options.signal] {AbortSignal} Signal to cancel the pending connection. The stream is stopped when aborted.
+     * @returns {Promise<object>} Session the stream is connected to, as returned by the connector
      */
-    async connect() {
+    async connect(options) {
+        if (this._nullOrUndef(options))
+            options = {};
+
+        if (this._pendingConnect !== null)
+            throw new AnboxStreamError('a connection is already in progress', AnboxErrorCode.CONNECT_IN_PROGRESS);
+
+        const connected = this._createPendingConnect(options);
+        if (options.signal?.aborted) {
+            this._stopStreamingOnError(new AnboxStreamError('connection aborted', AnboxErrorCode.ABORTED));
+            return connected;
+        }
+
+        this._events.emit('connecting')
+
         if (this._options.fullScreen)
             this._requestFullscreen()
 
@@ -133,16 +471,82 @@ class AnboxStream {
         try {
             session = await this._options.connector.connect()
         } catch (e) {
-            this._stopStreamingOnError('connector failed to connect: ' + e.message);
-            return
+            // Connectors of the SDK already report typed errors, others are wrapped
+            if (e instanceof AnboxStreamError)
+                this._stopStreamingOnError(e);
+            else
+                this._stopStreamingOnError(new AnboxGatewayError('connector failed to connect: ' + e.message,
+                    AnboxErrorCode.CONNECTOR_FAILED, {recoverable: true, cause: e}));
+            return connected
         }
 
+        // The connection may have been aborted while the connector was busy
+        if (this._pendingConnect === null)
+            return connected
+
+        this._pendingConnect.session = session
+        this._keyMapper.setApp(session?.app ?? null)
+        if (this._telemetry !== null)
+            this._telemetry.setSession(session)
         try {
             this._webrtcManager.start(session)
         } catch (e) {
             this._stopStreamingOnError(e);
-            return
         }
+        return connected
+    }
+
+    /**
+     * Subscribe to a stream event. Several handlers can be registered for the same event.
+     *
+     * connecting: connect() starts establishing the stream.
+     * signaling: The signaling process with the Android instance starts.
+     * iceStateChanged(state): The ICE connection state changed.
+     * ready: The video and audio streams are ready.
+     * error(error): The stream failed and is stopped.
+     * done: The stream is closed.
+     * messageReceived(type, data): A message was received from Anbox.
+     * statsUpdated(stats): Statistics were updated. Requires options.enableStats.
+     * reconnecting(attempt, maxAttempts): The connection was lost and a reconnection attempt starts.
+     * reconnected: The connection was reestablished.
+     * orientationChanged(orientation): The video was rotated.
+     * imeStateChanged(visible): The Android IME was shown or hidden.
+     * keyboardCaptured(captured): Keyboard events started or stopped being captured.
+     * qualityChanged(level, reason): The adaptive quality control changed the stream quality.
+     * sessionSummary(summary): The stream stopped, see getSessionSummary(). Requires options.enableStats.
+     * networkQualityChanged(quality, details): The rating of the network quality changed. Requires options.networkQuality.enable.
+     * unmappedKey(code, key, pressed): A key without any scancode was pressed or released and not sent.
+     * pointerLockChanged(locked): The pointer was locked to the video or released, see requestPointerLock().
+     *
+     * @param event {string} Name of the event
+     * @param handler {function} Function called with the arguments of the event
+     * @throws {AnboxStreamError} Unknown event name (INVALID_ARGUMENT)
+     */
+    on(event, handler) {
+        this._validateEventName(event);
+        this._events.on(event, handler);
+    }
+
+    /**
+     * Unsubscribe a handler previously registered with on() or once()
+     * @param event {string} Name of the event
+     * @param handler {function} Handler to remove
+     * @throws {AnboxStreamError} Unknown event name (INVALID_ARGUMENT)
+     */
+    off(event, handler) {
+        this._validateEventName(event);
+        this._events.off(event, handler);
+    }
+
+    /**
+     * Subscribe to the next occurrence of a stream event only. See on() for the list of events.
+     * @param event {string} Name of the event
+     * @param handler {function} Function called with the arguments of the event
+     * @throws {AnboxStreamError} Unknown event name (INVALID_ARGUMENT)
+     */
+    once(event, handler) {
+        this._validateEventName(event);
+        this._events.once(event, handler);
     }
 
     /**
@@ -168,8 +572,18 @@ class AnboxStream {
      *   avgJitterBufferDelay: Average variance in packet delay in seconds. A high jitter can mean an unstable or congested network.
      *   packetsReceived: Total number of packets received.
      *   packetsLost: Total number of packets lost.
+     *   codec: Codec of the video e.g. H264.
+     *   resolution: Resolution of the last decoded frame e.g. 1280x720, also available as frameWidth and frameHeight.
+     *   framesDropped: Total number of frames dropped before being decoded.
+     *   keyFramesDecoded: Total number of key frames decoded. Key frames are requested when the decoder lost track of the video.
+     *   freezes: Total number of video freezes noticeable by the user. null if the browser doesn't detect freezes.
+     *   freezesDuration: Total time in seconds the video was frozen. null if the browser doesn't detect freezes.
+     *   nackCount: Total number of negative acknowledgements sent to request the retransmission of lost packets.
+     *   pliCount: Total number of picture loss indications sent to request a key frame.
      * network: Information about the network and WebRTC connections.
      *   currentRtt: Current round trip time in seconds.
+     *   appRtt: Round trip time in seconds of the last ping answered by Anbox, including its processing time. Requires options.ping.enable.
+     *   appJitter: Smoothed variation of appRtt in seconds. Requires options.ping.enable.
      *   networkType: Type of network in use. Can be one of the following:
      *       bluetooth: This connection uses bluetooth.
      *       celullar: The connection uses a cellular data service to connect. This includes all cellular data services including EDGE (2G), HSPA (3G), LTE (4G), and NR (5G).
@@ -192,6 +606,15 @@ class AnboxStream {
      * audioInput: Statistics related to the audio sent to the Anbox container
      *   bandwidthMbit: Audio traffic sent in mbits/s
      *   totalBytesSent: Total cumulated bytes sent for audio for the current session.
+     * videoInput: Statistics related to the camera video sent to the Anbox container
+     *   bandwidthMbit: Video traffic sent in mbits/s.
+     *   totalBytesSent: Total cumulated bytes sent for video for the current session.
+     *   fps: Frames per second sent.
+     *   codec: Codec of the video e.g. VP8.
+     *   resolution: Resolution of the frames sent e.g. 640x480, also available as frameWidth and frameHeight.
+     *   nackCount: Total number of retransmissions requested by the Anbox container.
+     *   pliCount: Total number of key frames requested by the Anbox container.
+     *   qualityLimitationReason: Reason why the resolution or frame rate is currently reduced (cpu, bandwidth, other), empty if it is not.
      * audioOutput: Information on the received audio track.
      *   bandwidthMbit: Audio traffic received in mbits/s.
      *   totalBytesReceived: Total cumulated bytes received for the current session.
@@ -219,6 +642,61 @@ class AnboxStream {
             this._webrtcManager.hideStatsOverlay()
     }
 
+    /**
+     * History of the statistics collected once per second. Requires options.enableStats.
+     * Each sample contains its time (milliseconds since the epoch) and the numeric statistics
+     * described in showStatistics() keyed by their path, e.g. 'video.fps' or 'network.currentRtt'.
+     * Only the last options.statsHistorySize samples are kept.
+     * @returns {object[]} Samples, oldest first
+     */
+    getStatsHistory() {
+        return this._webrtcManager.getStatsHistory()
+    }
+
+    /**
+     * Aggregated statistics over the history, keyed by metric path. Each metric has
+     * min, max, avg, p95 (95th percentile) and count properties.
+     * @returns {object}
+     */
+    getStatsAggregates() {
+        return this._webrtcManager.getStatsAggregates()
+    }
+
+    /**
+     * Summary of the current session, or of the last one once the stream is stopped.
+     *
+     * startTime, endTime: ISO 8601 time of the first and last samples.
+     * duration: Time in seconds statistics were collected for.
+     * samples: Number of samples collected.
+     * totalBytesReceived: Bytes of video and audio received over the whole session.
+     * totalBytesSent: Bytes of audio and camera video sent over the whole session.
+     * packetsLost: Video and audio packets lost over the whole session.
+     * framesDropped: Video frames dropped over the whole session.
+     * freezeCount: Number of video freezes. When the browser doesn't detect freezes, number of times the
+     *   video stopped being rendered for at least a second.
+     * freezesDuration: Time in seconds the video was frozen, null if the browser doesn't detect freezes.
+     * averageRtt: Average round trip time in seconds.
+     * averageFps: Average video frame rate.
+     * averageBandwidthMbit: Average video bandwidth in mbits/s.
+     *
+     * @returns {object|null} The summary or null if no statistics were collected
+     */
+    getSessionSummary() {
+        return this._webrtcManager.getSessionSummary()
+    }
+
+    /**
+     * Export the collected statistics, e.g. to attach them to a bug report.
+     * JSON contains the session summary, the aggregates and the history while CSV
+     * contains the history only, one sample per line.
+     * @param [format='json'] {string} 'json' or 'csv'
+     * @returns {string}
+     * @throws {AnboxStreamError} Unsupported format (INVALID_ARGUMENT)
+     */
+    exportStats(format) {
+        return this._webrtcManager.exportStats(format)
+    }
+
     /**
      * Toggle fullscreen for the streamed video.
      *
@@ -323,9 +801,8 @@ class AnboxStream {
      * @param update.altitude {number} Altitude in meters
      * @param update.speed {number} Current speed in meter per second
      * @param update.bearing {number} Current bearing in degree
-     * @throws {Error} Incomplete location update, some fields are missing.
-     * @throws {Error} Invalid GPS data format, can only be "wgs84" or "nmea".
-     * @throws {Error} The stream SDK is not ready yet.
+     * @throws {AnboxStreamError} Incomplete location update, some fields are missing (INVALID_ARGUMENT).
+     * @throws {AnboxStreamError} Invalid GPS data format, can only be "wgs84" or "nmea" (INVALID_ARGUMENT).
      */
     sendLocationUpdate(update) {
         if (this._nullOrUndef(update.time) ||
@@ -334,13 +811,13 @@ class AnboxStream {
             this._nullOrUndef(update.altitude) ||
             this._nullOrUndef(update.speed) ||
             this._nullOrUndef(update.bearing)) {
-            throw new Error("incomplete location update")
+            throw new AnboxStreamError("incomplete location update", AnboxErrorCode.INVALID_ARGUMENT)
         }
 
         if (!this._nullOrUndef(update.format) &&
             update.format !== "nmea" &&
             update.format !== "wgs84") {
-            throw new Error("invalid gps data format")
+            throw new AnboxStreamError("invalid gps data format", AnboxErrorCode.INVALID_ARGUMENT)
         }
 
         return this._webrtcManager.sendControlMessage("location::update-position", update);
@@ -350,7 +827,7 @@ class AnboxStream {
         if (navigator.userAgent.indexOf("Chrome") === -1 &&
             navigator.userAgent.indexOf("Firefox") === -1 &&
             navigator.userAgent.indexOf("Safari") === -1)
-            throw new Error("unsupported browser");
+            throw new AnboxStreamError("unsupported browser", AnboxErrorCode.UNSUPPORTED);
     }
 
     _fillDefaults(options) {
@@ -384,23 +861,68 @@ class AnboxStream {
         if (this._nullOrUndef(options.controls.gamepad))
             options.controls.gamepad = true;
 
-        if (this._nullOrUndef(options.stunServers))
-            options.stunServers = [];
+        if (this._nullOrUndef(options.controls.sidedModifiers))
+            options.controls.sidedModifiers = false;
 
-        if (this._nullOrUndef(options.callbacks))
-            options.callbacks = {};
+        if (this._nullOrUndef(options.controls.shortcuts))
+            options.controls.shortcuts = {};
 
-        if (this._nullOrUndef(options.callbacks.ready))
-            options.callbacks.ready = () => {};
+        if (this._nullOrUndef(options.controls.shortcuts.passthrough))
+            options.controls.shortcuts.passthrough = _defaultBrowserShortcuts.slice();
 
-        if (this._nullOrUndef(options.callbacks.error))
-            options.callbacks.error = () => {};
+        if (this._nullOrUndef(options.controls.shortcuts.block))
+            options.controls.shortcuts.block = [];
 
-        if (this._nullOrUndef(options.callbacks.done))
-            options.callbacks.done = () => {};
+        if (this._nullOrUndef(options.controls.shortcuts.release))
+            options.controls.shortcuts.release = null;
+
+        if (this._nullOrUndef(options.controls.keyboardLock))
+            options.controls.keyboardLock = false;
+
+        if (this._nullOrUndef(options.controls.pointerLockRequests))
+            options.controls.pointerLockRequests = true;
+
+        if (this._nullOrUndef(options.keyMap))
+            options.keyMap = {};
+
+        if (this._nullOrUndef(options.keyMap.map))
+            options.keyMap.map = null;
+
+        if (this._nullOrUndef(options.keyMap.profiles))
+            options.keyMap.profiles = {};
+
+        if (this._nullOrUndef(options.gamepad))
+            options.gamepad = {};
+
+        if (this._nullOrUndef(options.gamepad.profiles))
+            options.gamepad.profiles = {};
+
+        if (this._nullOrUndef(options.gamepad.deadzone))
+            options.gamepad.deadzone = 0;
+
+        if (this._nullOrUndef(options.input))
+            options.input = {};
+
+        if (this._nullOrUndef(options.input.coalesceMoves))
+            options.input.coalesceMoves = true;
+
+        if (this._nullOrUndef(options.input.batch))
+            options.input.batch = false;
+
+        if (this._nullOrUndef(options.input.maxBufferedAmount))
+            options.input.maxBufferedAmount = 64 * 1024;
+
+        if (this._nullOrUndef(options.input.unreliable))
+            options.input.unreliable = true;
+
+        if (this._nullOrUndef(options.input.binary))
+            options.input.binary = false;
+
+        if (this._nullOrUndef(options.stunServers))
+            options.stunServers = [];
 
-        if (this._nullOrUndef(options.callbacks.messageReceived))
-            options.callbacks.messageReceived = () => {};
+        if (this._nullOrUndef(options.callbacks))
+            options.callbacks = {};
 
         if (this._nullOrUndef(options.callbacks.requestCameraAccess))
             options.callbacks.requestCameraAccess = () => false
@@ -408,6 +930,83 @@ class AnboxStream {
         if (this._nullOrUndef(options.callbacks.requestMicrophoneAccess))
             options.callbacks.requestMicrophoneAccess = () => false
 
+        if (this._nullOrUndef(options.reconnect))
+            options.reconnect = {};
+
+        if (this._nullOrUndef(options.reconnect.maxAttempts))
+            options.reconnect.maxAttempts = 3;
+
+        if (this._nullOrUndef(options.reconnect.initialDelay))
+            options.reconnect.initialDelay = 1000;
+
+        if (this._nullOrUndef(options.reconnect.backoffFactor))
+            options.reconnect.backoffFactor = 2;
+
+        if (this._nullOrUndef(options.reconnect.maxDelay))
+            options.reconnect.maxDelay = 10 * 1000;
+
+        if (this._nullOrUndef(options.reconnect.disconnectedTimeout))
+            options.reconnect.disconnectedTimeout = 3 * 1000;
+
+        if (this._nullOrUndef(options.reconnect.attemptTimeout))
+            options.reconnect.attemptTimeout = 15 * 1000;
+
+        if (this._nullOrUndef(options.ping))
+            options.ping = {};
+
+        if (this._nullOrUndef(options.ping.enable))
+            options.ping.enable = false;
+
+        if (this._nullOrUndef(options.ping.interval))
+            options.ping.interval = 1000;
+
+        if (this._nullOrUndef(options.ping.missedPongs))
+            options.ping.missedPongs = 5;
+
+        if (this._nullOrUndef(options.networkQuality))
+            options.networkQuality = {};
+
+        if (this._nullOrUndef(options.networkQuality.indicator))
+            options.networkQuality.indicator = false;
+
+        if (this._nullOrUndef(options.networkQuality.enable))
+            options.networkQuality.enable = options.networkQuality.indicator;
+
+        if (this._nullOrUndef(options.networkQuality.indicatorPosition))
+            options.networkQuality.indicatorPosition = 'bottom-right';
+
+        if (this._nullOrUndef(options.adaptiveQuality))
+            options.adaptiveQuality = {};
+
+        if (this._nullOrUndef(options.adaptiveQuality.enable))
+            options.adaptiveQuality.enable = false;
+
+        if (this._nullOrUndef(options.adaptiveQuality.levels))
+            options.adaptiveQuality.levels = _defaultQualityLevels.map(level => ({...level}));
+
+        if (this._nullOrUndef(options.adaptiveQuality.initialLevel))
+            options.adaptiveQuality.initialLevel = 0;
+
+        if (this._nullOrUndef(options.adaptiveQuality.downgradeAfter))
+            options.adaptiveQuality.downgradeAfter = 3;
+
+        if (this._nullOrUndef(options.adaptiveQuality.upgradeAfter))
+            options.adaptiveQuality.upgradeAfter = 10;
+
+        if (this._nullOrUndef(options.adaptiveQuality.cooldown))
+            options.adaptiveQuality.cooldown = 5 * 1000;
+
+        if (!this._nullOrUndef(options.telemetry)) {
+            if (this._nullOrUndef(options.telemetry.sampleRate))
+                options.telemetry.sampleRate = 1;
+
+            if (this._nullOrUndef(options.telemetry.statsInterval))
+                options.telemetry.statsInterval = 5;
+        }
+
+        if (this._nullOrUndef(options.signalerFactory))
+            options.signalerFactory = () => new AnboxWebSocketSignaler();
+
         if (this._nullOrUndef(options.foregroundActivity))
             options.foregroundActivity = "";
 
@@ -417,6 +1016,30 @@ class AnboxStream {
         if (this._nullOrUndef(options.enableStats))
             options.enableStats = false;
 
+        if (this._nullOrUndef(options.statsHistorySize))
+            options.statsHistorySize = 300;
+
+        if (this._nullOrUndef(options.statsOverlay))
+            options.statsOverlay = {};
+
+        if (this._nullOrUndef(options.statsOverlay.position))
+            options.statsOverlay.position = 'top-left';
+
+        if (this._nullOrUndef(options.statsOverlay.mode))
+            options.statsOverlay.mode = 'detailed';
+
+        if (this._nullOrUndef(options.statsOverlay.groups))
+            options.statsOverlay.groups = _statsOverlayGroups;
+
+        if (this._nullOrUndef(options.statsOverlay.graphs))
+            options.statsOverlay.graphs = true;
+
+        if (this._nullOrUndef(options.statsOverlay.width))
+            options.statsOverlay.width = 250;
+
+        if (this._nullOrUndef(options.statsOverlay.toggleShortcut))
+            options.statsOverlay.toggleShortcut = null;
+
         if (this._nullOrUndef(options.experimental))
             options.experimental = {};
 
@@ -430,27 +1053,134 @@ class AnboxStream {
             options.experimental.debug = false;
     }
 
+    _validateEventName(event) {
+        if (!_streamEvents.includes(event))
+            throw new AnboxStreamError(`unknown event "${event}"`, AnboxErrorCode.INVALID_ARGUMENT);
+    }
+
     _validateOptions(options) {
         if (this._nullOrUndef(options.targetElement))
-            throw new Error('missing targetElement parameter');
+            throw new AnboxStreamError('missing targetElement parameter', AnboxErrorCode.INVALID_ARGUMENT);
         const container = document.getElementById(options.targetElement)
         if (container === null)
-            throw new Error(`target element "${options.targetElement}" does not exist`);
+            throw new AnboxStreamError(`target element "${options.targetElement}" does not exist`, AnboxErrorCode.INVALID_ARGUMENT);
         else if (container.clientWidth == 0 || container.clientHeight == 0)
             console.error("AnboxStream: video container element misses size. Please see https://anbox-cloud.io/docs/howto/stream/web-client")
 
         if (this._nullOrUndef(options.connector))
-            throw new Error('missing connector');
+            throw new AnboxStreamError('missing connector', AnboxErrorCode.INVALID_ARGUMENT);
 
         if (typeof(options.connector.connect) !== "function")
-            throw new Error('missing "connect" method on connector');
+            throw new AnboxStreamError('missing "connect" method on connector', AnboxErrorCode.INVALID_ARGUMENT);
 
         if (typeof(options.connector.disconnect) !== "function")
-            throw new Error('missing "disconnect" method on connector');
+            throw new AnboxStreamError('missing "disconnect" method on connector', AnboxErrorCode.INVALID_ARGUMENT);
+
+        if (options.input.maxBufferedAmount < 0)
+            throw new AnboxStreamError('maximum buffered amount of input must not be negative', AnboxErrorCode.INVALID_ARGUMENT);
+
+        if (options.input.binary && typeof(_binaryInputCodec) === "undefined")
+            throw new AnboxStreamError('binary input requires anbox-input-codec.js to be loaded before the SDK', AnboxErrorCode.INVALID_ARGUMENT);
+
+        _keyMaps.normalize(options.keyMap.map, options.controls.sidedModifiers);
+        if (typeof(options.keyMap.profiles) !== "object")
+            throw new AnboxStreamError('key map profiles must be an object', AnboxErrorCode.INVALID_ARGUMENT);
+        for (const profile of Object.values(options.keyMap.profiles))
+            _keyMaps.normalize(profile, options.controls.sidedModifiers);
+
+        if (typeof(options.gamepad.profiles) !== "object")
+            throw new AnboxStreamError('gamepad profiles must be an object', AnboxErrorCode.INVALID_ARGUMENT);
+        for (const profile of Object.values(options.gamepad.profiles))
+            _gamepadProfiles.normalize(profile);
+        if (!(options.gamepad.deadzone >= 0 && options.gamepad.deadzone < 1))
+            throw new AnboxStreamError('gamepad deadzone must be between 0 and 1', AnboxErrorCode.INVALID_ARGUMENT);
+
+        if (options.reconnect.maxAttempts < 0)
+            throw new AnboxStreamError('invalid number of reconnection attempts', AnboxErrorCode.INVALID_ARGUMENT);
+
+        if (options.reconnect.backoffFactor < 1)
+            throw new AnboxStreamError('reconnection backoff factor must be at least 1', AnboxErrorCode.INVALID_ARGUMENT);
+
+        if (typeof(options.signalerFactory) !== "function")
+            throw new AnboxStreamError('signalerFactory must be a function', AnboxErrorCode.INVALID_ARGUMENT);
+
+        if (!Number.isInteger(options.statsHistorySize) || options.statsHistorySize < 1)
+            throw new AnboxStreamError('statsHistorySize must be a positive integer', AnboxErrorCode.INVALID_ARGUMENT);
+
+        if (!['top-left', 'top-right', 'bottom-left', 'bottom-right'].includes(options.statsOverlay.position))
+            throw new AnboxStreamError('invalid stats overlay position', AnboxErrorCode.INVALID_ARGUMENT);
+
+        if (!['detailed', 'compact'].includes(options.statsOverlay.mode))
+            throw new AnboxStreamError('invalid stats overlay mode', AnboxErrorCode.INVALID_ARGUMENT);
+
+        for (const group of options.statsOverlay.groups) {
+            if (!_statsOverlayGroups.includes(group))
+                throw new AnboxStreamError(`unknown stats overlay group "${group}"`, AnboxErrorCode.INVALID_ARGUMENT);
+        }
+
+        if (options.statsOverlay.toggleShortcut !== null) {
+            if (!options.enableStats)
+                throw new AnboxStreamError('the stats overlay shortcut requires options.enableStats', AnboxErrorCode.INVALID_ARGUMENT);
+            _shortcuts.parse(options.statsOverlay.toggleShortcut);
+        }
+
+        if (!Array.isArray(options.controls.shortcuts.passthrough) || !Array.isArray(options.controls.shortcuts.block))
+            throw new AnboxStreamError('passthrough and blocked shortcuts must be lists', AnboxErrorCode.INVALID_ARGUMENT);
+        options.controls.shortcuts.passthrough.forEach(combo => _shortcuts.parse(combo));
+        options.controls.shortcuts.block.forEach(combo => _shortcuts.parse(combo));
+        if (options.controls.shortcuts.release !== null)
+            _shortcuts.parse(options.controls.shortcuts.release);
+
+        if (options.ping.interval < 100)
+            throw new AnboxStreamError('ping interval must be at least 100ms', AnboxErrorCode.INVALID_ARGUMENT);
+
+        if (!Number.isInteger(options.ping.missedPongs) || options.ping.missedPongs < 0)
+            throw new AnboxStreamError('number of missed pongs must be a non-negative integer', AnboxErrorCode.INVALID_ARGUMENT);
+
+        if (options.networkQuality.indicator && !options.networkQuality.enable)
+            throw new AnboxStreamError('network quality indicator requires the network quality rating to be enabled', AnboxErrorCode.INVALID_ARGUMENT);
+
+        if (!['top-left', 'top-right', 'bottom-left', 'bottom-right'].includes(options.networkQuality.indicatorPosition))
+            throw new AnboxStreamError('invalid network quality indicator position', AnboxErrorCode.INVALID_ARGUMENT);
+
+        this._validateAdaptiveQuality(options.adaptiveQuality);
+
+        if (!this._nullOrUndef(options.telemetry)) {
+            if (this._nullOrUndef(options.telemetry.reporter) || typeof(options.telemetry.reporter.report) !== "function")
+                throw new AnboxStreamError('telemetry reporter must implement report()', AnboxErrorCode.INVALID_ARGUMENT);
+
+            if (!(options.telemetry.sampleRate >= 0 && options.telemetry.sampleRate <= 1))
+                throw new AnboxStreamError('telemetry sample rate must be between 0 and 1', AnboxErrorCode.INVALID_ARGUMENT);
+
+            if (!Number.isInteger(options.telemetry.statsInterval) || options.telemetry.statsInterval < 0)
+                throw new AnboxStreamError('telemetry stats interval must be a non-negative integer', AnboxErrorCode.INVALID_ARGUMENT);
+        }
 
         const _activityNamePattern = /(^([A-Za-z]{1}[A-Za-z\d_]*\.){2,}|^(\.){1})[A-Za-z][A-Za-z\d_]*$/
         if (options.foregroundActivity.length > 0 && !_activityNamePattern.test(options.foregroundActivity))
-            throw new Error('invalid foreground activity name');
+            throw new AnboxStreamError('invalid foreground activity name', AnboxErrorCode.INVALID_ARGUMENT);
+    }
+
+    _validateAdaptiveQuality(options) {
+        if (!Array.isArray(options.levels) || options.levels.length === 0)
+            throw new AnboxStreamError('adaptive quality needs at least one level', AnboxErrorCode.INVALID_ARGUMENT);
+
+        for (const level of options.levels) {
+            if (typeof(level.name) !== "string" || level.name.length === 0)
+                throw new AnboxStreamError('adaptive quality levels must have a name', AnboxErrorCode.INVALID_ARGUMENT);
+            if (!(level.height > 0) || !(level.fps > 0) || !(level.bitrate > 0))
+                throw new AnboxStreamError(`invalid adaptive quality level "${level.name}"`, AnboxErrorCode.INVALID_ARGUMENT);
+        }
+
+        const initial = options.initialLevel
+        if (typeof(initial) === "number" ? !options.levels[initial] : !options.levels.some(l => l.name === initial))
+            throw new AnboxStreamError(`unknown initial quality level "${initial}"`, AnboxErrorCode.INVALID_ARGUMENT);
+
+        if (options.downgradeAfter < 1 || options.upgradeAfter < 1)
+            throw new AnboxStreamError('adaptive quality needs at least one sample to change the level', AnboxErrorCode.INVALID_ARGUMENT);
+
+        if (!this._nullOrUndef(options.policy) && typeof(options.policy) !== "function")
+            throw new AnboxStreamError('adaptive quality policy must be a function', AnboxErrorCode.INVALID_ARGUMENT);
     }
 
     _createMedia() {
@@ -475,8 +1205,11 @@ class AnboxStream {
         // Disable context menu so we can properly handle right clicks on the video
         video.setAttribute('oncontextmenu', 'return false;')
         video.onplay = () => {
+            if (this._telemetry !== null)
+                this._telemetry.firstFrame()
             this._onResize()
             this._registerControls();
+            this._settleConnect();
         };
         mediaContainer.appendChild(video);
 
@@ -487,6 +1220,50 @@ class AnboxStream {
             audio.controls = false;
             mediaContainer.appendChild(audio);
         }
+
+        if (this._options.networkQuality.indicator)
+            this._createNetworkIndicator(mediaContainer);
+    }
+
+    _createNetworkIndicator(container) {
+        const indicator = document.createElement('div');
+        indicator.id = this._networkIndicatorID;
+        indicator.style.position = 'absolute';
+        const [vertical, horizontal] = this._options.networkQuality.indicatorPosition.split('-')
+        indicator.style[vertical] = '8px';
+        indicator.style[horizontal] = '8px';
+        indicator.style.display = 'flex';
+        indicator.style.alignItems = 'flex-end';
+        indicator.style.gap = '2px';
+        indicator.style.height = '16px';
+        indicator.style.padding = '3px';
+        indicator.style.borderRadius = '3px';
+        indicator.style.backgroundColor = 'rgba(0,0,0,0.5)';
+        indicator.style.zIndex = '1';
+        // Ignore the pointer interaction on the indicator
+        indicator.style.pointerEvents = 'none';
+
+        for (let n = 1; n <= 4; n++) {
+            const bar = document.createElement('span');
+            bar.style.width = '3px';
+            bar.style.height = `${n * 25}%`;
+            bar.style.backgroundColor = 'rgba(255,255,255,0.3)';
+            indicator.appendChild(bar);
+        }
+        container.appendChild(indicator);
+    }
+
+    _networkQualityChanged(quality, details) {
+        const indicator = document.getElementById(this._networkIndicatorID);
+        if (indicator) {
+            const bars = {excellent: 4, good: 3, poor: 2, bad: 1}[quality];
+            const color = {excellent: '#0e8420', good: '#0e8420', poor: '#f99b11', bad: '#c7162b'}[quality];
+            Array.from(indicator.children).forEach((bar, n) => {
+                bar.style.backgroundColor = n < bars ? color : 'rgba(255,255,255,0.3)';
+            });
+            indicator.title = `Network quality: ${quality}`;
+        }
+        this._events.emit('networkQualityChanged', quality, details);
     }
 
     _webrtcReady(videoSource, audioSource) {
@@ -498,40 +1275,129 @@ class AnboxStream {
             audio.srcObject = audioSource;
         }
 
-        this._options.callbacks.ready()
+        this._events.emit('ready')
+    }
+
+    _createPendingConnect(options) {
+        const pending = {
+            session: null,
+            timeout: null,
+            signal: options.signal,
+            onAbort: () => this._stopStreamingOnError(new AnboxStreamError('connection aborted', AnboxErrorCode.ABORTED)),
+        };
+
+        const promise = new Promise((resolve, reject) => {
+            pending.resolve = resolve;
+            pending.reject = reject;
+        });
+
+        if (options.timeout > 0) {
+            pending.timeout = window.setTimeout(() => {
+                this._stopStreamingOnError(new AnboxStreamError('timed out connecting the stream',
+                    AnboxErrorCode.CONNECT_TIMEOUT, {recoverable: true}));
+            }, options.timeout);
+        }
+
+        if (pending.signal)
+            pending.signal.addEventListener('abort', pending.onAbort);
+
+        this._pendingConnect = pending;
+        return promise;
+    }
+
+    /**
+     * Resolve or reject the promise returned by connect() if it is still pending
+     * @param [error] {Error} Reason the connection failed. Resolve if omitted
+     * @private
+     */
+    _settleConnect(error) {
+        const pending = this._pendingConnect;
+        if (pending === null)
+            return;
+
+        this._pendingConnect = null;
+        window.clearTimeout(pending.timeout);
+        if (pending.signal)
+            pending.signal.removeEventListener('abort', pending.onAbort);
+
+        if (error)
+            pending.reject(error);
+        else
+            pending.resolve(pending.session);
+    }
+
+    _webrtcReconnected(videoSource, audioSource) {
+        // When the peer connection had to be recreated we receive new streams
+        // which have to be attached to the existing media elements.
+        const video = document.getElementById(this._videoID);
+        if (video && video.srcObject !== videoSource)
+            video.srcObject = videoSource;
+
+        if (this._options.devices.speaker) {
+            const audio = document.getElementById(this._audioID);
+            if (audio && audio.srcObject !== audioSource)
+                audio.srcObject = audioSource;
+        }
+
+        this._events.emit('reconnected')
+    }
+
+    /**
+     * Retrieve a new session from the connector to run the signaling process again.
+     * Connectors which can't rejoin a session don't implement "reconnect", in which
+     * case the WebRTC manager reuses the session it initially received.
+     * @returns {Promise<Object>|null}
+     * @private
+     */
+    _requestReconnectSession() {
+        if (typeof(this._options.connector.reconnect) !== "function")
+            return null;
+        return this._options.connector.reconnect();
     }
 
     _removeMedia() {
         const video = document.getElementById(this._videoID);
         const audio = document.getElementById(this._audioID);
 
+        const indicator = document.getElementById(this._networkIndicatorID);
+
         if (video)
             video.remove();
         if (audio)
             audio.remove();
+        if (indicator)
+            indicator.remove();
     }
 
     _stopStreaming() {
         this._unregisterControls();
-        if (this._gamepadManager) {
-            this._gamepadManager.stopPolling()
-        }
+        this._gamepadManager.stopPolling()
+        this._inputBatcher.reset();
 
         this._webrtcManager.stop();
         this._removeMedia();
 
-        this._options.callbacks.done()
+        this._settleConnect(new AnboxStreamError('stream closed before it started playing', AnboxErrorCode.CLOSED));
+        this._events.emit('done')
     }
 
     _registerControls() {
         window.addEventListener('resize', this._onResize)
 
+        // Registered in the capture phase so it runs before the keyboard controls
+        if (this._statsOverlayShortcut !== null) {
+            window.addEventListener('keydown', this._onStatsOverlayShortcut, true)
+            window.addEventListener('keyup', this._onStatsOverlayShortcut, true)
+        }
+
         if (this._options.controls.mouse) {
             const container = document.getElementById(this._containerID)
             if (container) {
                 for (const controlName in this.controls.touch)
                     container.addEventListener(controlName, this.controls.touch[controlName]);
             }
+            document.addEventListener('pointerlockchange', this._onPointerLockChange)
+            document.addEventListener('pointerlockerror', this._onPointerLockError)
         }
 
         this.captureKeyboard()
@@ -541,62 +1407,344 @@ class AnboxStream {
      * Start the capture of keyboard events and send them to the Android container.
      * NOTE: While keyboard events are captured, you cannot use keyboard controls outside the SDK stream.
      * To re-enable keyboard events, see releaseKeyboard().
-     * @throws {Error} Throw if keyboard controls are disabled
+     * @throws {AnboxStreamError} Throw if keyboard controls are disabled (INVALID_STATE)
      */
     captureKeyboard() {
         if (!this._options.controls.keyboard)
-            throw new Error('keyboard controls are disabled')
+            throw new AnboxStreamError('keyboard controls are disabled', AnboxErrorCode.INVALID_STATE)
+
+        if (this._keyboardCaptured)
+            return
 
         for (const controlName in this.controls.keyboard)
             window.addEventListener(controlName, this.controls.keyboard[controlName]);
+
+        this._keyboardCaptured = true
+        if (this._options.controls.keyboardLock) {
+            document.addEventListener('fullscreenchange', this._updateKeyboardLock)
+            this._updateKeyboardLock()
+        }
+        this._events.emit('keyboardCaptured', true)
     }
 
     /**
      * Stops capturing keyboard events. Can be used when you want to use a keyboard while a stream is running.
-     * @throws {Error} Throw if keyboard controls are disabled
+     * @throws {AnboxStreamError} Throw if keyboard controls are disabled (INVALID_STATE)
      */
     releaseKeyboard() {
         if (!this._options.controls.keyboard)
-            throw new Error('keyboard controls are disabled')
+            throw new AnboxStreamError('keyboard controls are disabled', AnboxErrorCode.INVALID_STATE)
+
+        if (!this._keyboardCaptured)
+            return
 
         for (const controlName in this.controls.keyboard)
             window.removeEventListener(controlName, this.controls.keyboard[controlName]);
-    }
 
-    sendIMECommittedText(text) {
-        const data = {
-            text: text
+        // Their key up will not be seen anymore
+        for (const code in this._keyTaps)
+            this._sendKeyTap(code, null, false)
+        for (const code of this._pressedKeys)
+            this._sendInputEvent('key', {code: code, pressed: false})
+        for (const target of this._keyTargets.values()) {
+            if (target?.type === 'gamepad-button')
+                this._sendInputEvent('gamepad-button', {id: target.id, index: target.index, pressed: false})
         }
-        return this._sendIMEMessage(_imeEventType.Text, data)
-    }
+        this._keyTargets.clear()
+        this._modifierState = 0
 
-    sendIMEComposingText(text) {
-        const data = {
-            text: text
+        this._keyboardCaptured = false
+        if (this._options.controls.keyboardLock) {
+            document.removeEventListener('fullscreenchange', this._updateKeyboardLock)
+            this._updateKeyboardLock()
         }
-        return this._sendIMEMessage(_imeEventType.ComposingText, data)
+        this._events.emit('keyboardCaptured', false)
     }
 
-    sendIMETextDeletion(counts) {
-        if (counts <= 0)
-            return;
+    /**
+     * The keyboard is locked while it is captured in fullscreen, see options.controls.keyboardLock
+     * @private
+     */
+    _updateKeyboardLock() {
+        if (!navigator.keyboard?.lock)
+            return
 
-        const _android_KEYCODE_DEL = 67
-        return this._sendIMECode(_android_KEYCODE_DEL, counts);
+        if (this._keyboardCaptured && document.fullscreenElement) {
+            navigator.keyboard.lock().catch(err => {
+                console.error(`AnboxStream: failed to lock the keyboard: ${err.message}`)
+            })
+        } else {
+            navigator.keyboard.unlock()
+        }
     }
 
-    sendIMEAction(name, params) {
-        if (typeof params === 'undefined')
-            params = "";
+    /**
+     * Bind keys to other keys, touch taps or gamepad buttons. Keys are identified by their
+     * KeyboardEvent.code and bound to one of:
+     *   - another key: 'ArrowUp' or {type: 'key', code: 'ArrowUp'}
+     *   - a touch tap: {type: 'tap', x: 0.5, y: 0.9}, held as long as the key is, with x and y
+     *     fractions of the width and height of the video
+     *   - a gamepad button: {type: 'gamepad-button', index: 0, id: 0}, index following the
+     *     standard gamepad layout and id the gamepad the button belongs to (0 by default)
+     *   - null to ignore the key
+     * Keys missing from the map are sent unchanged. Changes apply to the keys pressed afterwards,
+     * keys held down are released on the target they were pressed on.
+     *
+     * @example
+     * stream.setKeyMap({KeyW: 'ArrowUp', KeyA: 'ArrowLeft', KeyS: 'ArrowDown', KeyD: 'ArrowRight'})
+     * stream.setKeyMap({Space: {type: 'tap', x: 0.9, y: 0.8}}, 'com.example.game')
+     *
+     * @param map {object|null} Key map, null removes it
+     * @param [app] {string} Application the key map is a profile for. When omitted, the default
+     *        key map used by applications without a profile is replaced.
+     * @throws {AnboxStreamError} The key map is invalid (INVALID_ARGUMENT)
+     */
+    setKeyMap(map, app) {
+        this._keyMapper.setMap(map, app)
+    }
 
-        // If Anbox IME is enabled, the `hide` action was triggered
-        // from client side rather server, we have to remove the focus
-        // from the video container so that the client side virtual
-        // keyboard will pop down afterwards.
-        if (name === "hide")
-            this._setVideoContainerFocused(false);
+    /**
+     * @param [app] {string} Application of the profile, the default key map if omitted
+     * @returns {object|null} Normalized copy of the key map, see setKeyMap()
+     */
+    getKeyMap(app) {
+        return this._keyMapper.getMap(app)
+    }
 
-        const data = {
+    /**
+     * Export the default key map and all profiles, e.g. to save them in the settings of a player
+     * @returns {string} JSON which can be given to importKeyMaps()
+     */
+    exportKeyMaps() {
+        return JSON.stringify(this._keyMapper)
+    }
+
+    /**
+     * Replace the default key map and all profiles with ones from exportKeyMaps()
+     * @param json {string|object} Exported key maps
+     * @throws {AnboxStreamError} The key maps are invalid (INVALID_ARGUMENT), nothing is changed then
+     */
+    importKeyMaps(json) {
+        this._keyMapper.load(json)
+    }
+
+    /**
+     * Set how the buttons and axes of a gamepad are translated to the standard gamepad layout
+     * (https://w3c.github.io/gamepad/#remapping) before being sent. Built-in profiles cover some
+     * controllers the browser does not remap itself, a profile set here replaces them.
+     *
+     * A profile maps buttons and axes by their index in the Gamepad object:
+     *   - buttons: {index: standard button index or null to ignore the button}
+     *   - axes: {index: axis configuration or null to ignore the axis}, an axis is sent as
+     *       - an axis: {index, invert=false, deadzone, sensitivity=1}, deadzone being the fraction of
+     *         the range around the center reported as 0 and sensitivity a factor applied to the value
+     *       - the directional pad buttons: {dpad: 'x'} or {dpad: 'y'}
+     *       - a button pressed above a threshold: {button, threshold=0.5}
+     *     A configuration without target only tunes the default one, e.g. {invert: true}.
+     * Buttons and axes missing from the profile are sent unchanged.
+     *
+     * @example
+     * stream.setGamepadProfile(gamepad.id, {
+     *     name: 'My controller',
+     *     buttons: {0: 1, 1: 0},
+     *     axes: {1: {invert: true, deadzone: 0.1}, 5: {button: 7, threshold: 0}},
+     * })
+     *
+     * @param id {string} gamepad.id of the controller
+     * @param profile {object|null} Profile, null to remove it
+     * @throws {AnboxStreamError} The profile is invalid (INVALID_ARGUMENT)
+     */
+    setGamepadProfile(id, profile) {
+        this._gamepadMapper.setProfile(id, profile)
+    }
+
+    /**
+     * @param id {string} gamepad.id of the controller
+     * @returns {object|null} Normalized copy of the profile set for the controller, see setGamepadProfile()
+     */
+    getGamepadProfile(id) {
+        return this._gamepadMapper.getProfile(id)
+    }
+
+    /**
+     * Export the gamepad profiles set with setGamepadProfile()
+     * @returns {string} JSON which can be given to importGamepadProfiles()
+     */
+    exportGamepadProfiles() {
+        return JSON.stringify(this._gamepadMapper)
+    }
+
+    /**
+     * Replace all gamepad profiles with ones from exportGamepadProfiles()
+     * @param json {string|object} Exported profiles
+     * @throws {AnboxStreamError} The profiles are invalid (INVALID_ARGUMENT), nothing is changed then
+     */
+    importGamepadProfiles(json) {
+        this._gamepadMapper.load(json)
+    }
+
+    /**
+     * @returns {object[]} Connected gamepads ({index, id, mapping, profile}) with the name of the profile
+     *          in use: the one of a profile set with setGamepadProfile(), 'custom' if it has none, the
+     *          name of a built-in profile, 'standard' if the browser remaps the controller itself or
+     *          'default' otherwise
+     */
+    getGamepads() {
+        return this._gamepadManager.gamepads()
+    }
+
+    /**
+     * Measure the noise of the axes of a gamepad to suggest deadzones. The sticks must be left at
+     * rest meanwhile. Suggestions can be applied with setGamepadProfile().
+     * @param index {number} gamepad.index of the controller
+     * @param [options] {object}
+     * @param [options.duration=2000] {number} Time in milliseconds to measure for
+     * @returns {Promise<object>} {id, axes: [{index, rest, noise, deadzone}]} with rest the average
+     *          value of each axis, noise its largest distance to rest and deadzone the suggested one. Deadzones
+     *          surround the center, the deadzone of axes resting far from it, e.g. triggers, is null.
+     *          Rejects with an AnboxDeviceError (DEVICE_UNAVAILABLE) if no gamepad is connected at index.
+     */
+    calibrateGamepad(index, options) {
+        return this._gamepadManager.calibrate(index, options?.duration ?? 2000)
+    }
+
+    /**
+     * Wait for the next button pressed or axis moved on a gamepad, e.g. to let the user choose a
+     * binding. The events of the gamepad are not sent to the Android instance in the meantime.
+     * @param index {number} gamepad.index of the controller
+     * @param [options] {object}
+     * @param [options.timeout=10000] {number} Time in milliseconds after which the promise is rejected
+     * @returns {Promise<object>} {type: 'button', index} or {type: 'axis', index, direction}, direction
+     *          being -1 or 1. Indexes are the ones of the Gamepad object. Rejects with an AnboxStreamError whose
+     *          code is DEVICE_UNAVAILABLE if the gamepad is not or no longer connected, INVALID_STATE if an input is
+     *          already being detected on it or TIMEOUT if nothing was pressed in time.
+     */
+    detectGamepadInput(index, options) {
+        return this._gamepadManager.detectInput(index, options?.timeout ?? 10000)
+    }
+
+    /**
+     * Lock the pointer to the video, for games controlling a camera with the mouse. While it is
+     * locked the cursor is hidden and only the movements of the mouse are sent to the Android
+     * instance, without being scaled to the video. Pressing Escape releases the lock.
+     * Browsers only grant it following a user input, a request made without it is retried
+     * on the next click on the video.
+     * @throws {AnboxStreamError} Mouse controls are disabled or emulated as touch (INVALID_STATE) or pointer lock
+     *         is not supported (UNSUPPORTED)
+     */
+    requestPointerLock() {
+        if (!this._options.controls.mouse || this._options.controls.emulateTouch)
+            throw new AnboxStreamError('mouse controls are disabled', AnboxErrorCode.INVALID_STATE)
+
+        const container = document.getElementById(this._containerID)
+        if (!container || typeof(container.requestPointerLock) !== "function")
+            throw new AnboxStreamError('pointer lock is not supported', AnboxErrorCode.UNSUPPORTED)
+
+        this._pointerLockPending = false
+        // Recent browsers return a promise, others report failures with a pointerlockerror event
+        const request = container.requestPointerLock()
+        if (request instanceof Promise)
+            request.catch(this._onPointerLockError)
+    }
+
+    /**
+     * Release the pointer locked by requestPointerLock()
+     */
+    exitPointerLock() {
+        this._pointerLockPending = false
+        const container = document.getElementById(this._containerID)
+        if (container && document.pointerLockElement === container)
+            document.exitPointerLock()
+    }
+
+    /**
+     * @returns {boolean} True if the pointer is locked to the video
+     */
+    isPointerLocked() {
+        return this._pointerLocked
+    }
+
+    _onPointerLockChange() {
+        const container = document.getElementById(this._containerID)
+        const locked = !!container && document.pointerLockElement === container
+        if (locked === this._pointerLocked)
+            return
+        this._pointerLocked = locked
+        this._events.emit('pointerLockChanged', locked)
+    }
+
+    _onPointerLockError() {
+        if (this._options.experimental.debug)
+            console.info('AnboxStream: pointer lock denied, retrying on the next click')
+        this._pointerLockPending = true
+    }
+
+    _pointerLockRequested(locked) {
+        if (!this._options.controls.pointerLockRequests)
+            return
+        try {
+            if (locked)
+                this.requestPointerLock()
+            else
+                this.exitPointerLock()
+        } catch (e) {
+            console.error(`AnboxStream: failed to change the pointer lock: ${e.message}`)
+        }
+    }
+
+    _sendLockedPointerEvent(event) {
+        if (event.type === 'pointermove') {
+            if (event.movementX !== 0 || event.movementY !== 0)
+                this._sendInputEvent('mouse-move', {
+                    rx: event.movementX,
+                    ry: event.movementY
+                })
+            return
+        }
+
+        const button = this._getPressedButton(event)
+        if (button <= 0)
+            return
+        this._sendInputEvent('mouse-button', {
+            pressed: event.type === 'pointerdown',
+            button: button
+        })
+    }
+
+    sendIMECommittedText(text) {
+        const data = {
+            text: text
+        }
+        return this._sendIMEMessage(_imeEventType.Text, data)
+    }
+
+    sendIMEComposingText(text) {
+        const data = {
+            text: text
+        }
+        return this._sendIMEMessage(_imeEventType.ComposingText, data)
+    }
+
+    sendIMETextDeletion(counts) {
+        if (counts <= 0)
+            return;
+
+        const _android_KEYCODE_DEL = 67
+        return this._sendIMECode(_android_KEYCODE_DEL, counts);
+    }
+
+    sendIMEAction(name, params) {
+        if (typeof params === 'undefined')
+            params = "";
+
+        // If Anbox IME is enabled, the `hide` action was triggered
+        // from client side rather server, we have to remove the focus
+        // from the video container so that the client side virtual
+        // keyboard will pop down afterwards.
+        if (name === "hide")
+            this._setVideoContainerFocused(false);
+
+        const data = {
             name: name,
             params: params
         }
@@ -615,6 +1763,8 @@ class AnboxStream {
 
     _unregisterControls() {
         window.removeEventListener('resize', this._onResize)
+        window.removeEventListener('keydown', this._onStatsOverlayShortcut, true)
+        window.removeEventListener('keyup', this._onStatsOverlayShortcut, true)
 
         // Removing the video container should automatically remove all event listeners
         // but this is dependant on the garbage collector, so we manually do it if we can
@@ -624,11 +1774,39 @@ class AnboxStream {
                 for (const controlName in this.controls.touch)
                     container.removeEventListener(controlName, this.controls.touch[controlName])
             }
+            this.exitPointerLock()
+            document.removeEventListener('pointerlockchange', this._onPointerLockChange)
+            document.removeEventListener('pointerlockerror', this._onPointerLockError)
+            // The lock is released asynchronously, its change will not be seen anymore
+            if (this._pointerLocked) {
+                this._pointerLocked = false
+                this._events.emit('pointerLockChanged', false)
+            }
         }
 
         this.releaseKeyboard();
     }
 
+    _onStatsOverlayShortcut(event) {
+        if (event.type === 'keyup') {
+            if (this._statsOverlayShortcutDown && event.code === this._statsOverlayShortcut.code) {
+                this._statsOverlayShortcutDown = false
+                event.preventDefault()
+                event.stopImmediatePropagation()
+            }
+            return
+        }
+
+        if (!_shortcuts.matches(this._statsOverlayShortcut, event))
+            return
+
+        event.preventDefault()
+        event.stopImmediatePropagation()
+        this._statsOverlayShortcutDown = true
+        if (!event.repeat)
+            this.showStatistics(!this._webrtcManager.isStatsOverlayVisible())
+    }
+
     /**
      * Calculate how many degrees we should rotate to go from the original orientation to the desired one
      */
@@ -642,7 +1820,7 @@ class AnboxStream {
         const currentPos = orientations.indexOf(startingOrientation)
         const desiredPos = orientations.indexOf(desiredOrientation)
         if (currentPos === -1 || desiredPos === -1)
-            throw new Error("invalid orientation given")
+            throw new AnboxStreamError("invalid orientation given", AnboxErrorCode.INVALID_ARGUMENT)
         let requiredTurns = desiredPos - currentPos
         return (requiredTurns * 90) - 360 * Math.floor(requiredTurns/360)
     }
@@ -688,6 +1866,7 @@ class AnboxStream {
 
         document.getElementById(this._videoID).style.transform = `rotate(${this._currentRotation}deg)`
         this._onResize()
+        this._events.emit('orientationChanged', orientation)
         return true
     }
 
@@ -695,6 +1874,23 @@ class AnboxStream {
         return this._currentOrientation
     }
 
+    /**
+     * Current rating of the network quality, based on the round trip time, packet loss
+     * and bandwidth averaged over the last seconds. Requires options.networkQuality.enable.
+     * @returns {string|null} 'excellent', 'good', 'poor', 'bad' or null if not rated yet
+     */
+    getNetworkQuality() {
+        return this._webrtcManager.getNetworkQuality()
+    }
+
+    /**
+     * Quality level currently requested by the adaptive quality control.
+     * @returns {object|null} Level ({index, name, height, fps, bitrate}) or null if adaptive quality is disabled.
+     */
+    getQualityLevel() {
+        return this._webrtcManager.getQualityLevel()
+    }
+
     _onResize() {
         const video = document.getElementById(this._videoID)
         const container = document.getElementById(this._containerID)
@@ -721,7 +1917,7 @@ class AnboxStream {
                 videoWidth = video.videoHeight
                 break
             default:
-                throw new Error('unhandled rotation')
+                throw new AnboxStreamError('unhandled rotation', AnboxErrorCode.INVALID_STATE)
         }
 
         // By what percentage do we have to grow/shrink the video so it has the same size as its container
@@ -745,7 +1941,7 @@ class AnboxStream {
                 video.style.left = `${Math.round(container.clientWidth / 2 - playerHeight / 2)}px`;
                 break
             default:
-                throw new Error('unhandled rotation')
+                throw new AnboxStreamError('unhandled rotation', AnboxErrorCode.INVALID_STATE)
         }
 
         // Initialize basic orientation
@@ -793,7 +1989,13 @@ class AnboxStream {
     }
 
     _sendInputEvent(type, data) {
-        return this._webrtcManager.sendControlMessage('input::' + type, data);
+        if (type === 'key') {
+            if (data.pressed)
+                this._pressedKeys.add(data.code)
+            else
+                this._pressedKeys.delete(data.code)
+        }
+        return this._inputBatcher.push(type, data);
     }
 
     _sendIMECode(code, times) {
@@ -857,10 +2059,10 @@ class AnboxStream {
     _adjustPointerCoordsToVideoBoundaries(event) {
         const container = document.getElementById(this._containerID)
         if (!container)
-            throw new Error('invalid container')
+            throw new AnboxStreamError('invalid container', AnboxErrorCode.INVALID_STATE)
         const dim = this._dimensions
         if (!dim)
-            throw new Error('SDK not ready')
+            throw new AnboxStreamError('SDK not ready', AnboxErrorCode.INVALID_STATE)
         const cRect = container.getBoundingClientRect();
         event.clientX = Math.round(event.clientX - cRect.left - dim.playerOffsetLeft)
         event.clientY = Math.round(event.clientY - cRect.top - dim.playerOffsetTop)
@@ -925,6 +2127,15 @@ class AnboxStream {
         if (this._options.controls.emulateTouch)
             event.pointerType = 'touch';
 
+        // The cursor does not move while locked, only its movements matter
+        if (this._pointerLocked && event.pointerType === 'mouse') {
+            this._sendLockedPointerEvent(event)
+            return
+        }
+
+        if (this._pointerLockPending && event.type === 'pointerdown' && event.pointerType === 'mouse')
+            this.requestPointerLock()
+
         // Transform pointer coordinates so (0,0) corresponds to the top left corner of the video
         this._adjustPointerCoordsToVideoBoundaries(event)
 
@@ -1034,29 +2245,47 @@ class AnboxStream {
     }
 
     _onKey(event) {
-        // Disable any problematic browser shortcuts
-        if (event.code === 'F5' || // Reload
-            (event.code === 'KeyR' && event.ctrlKey) || // Reload
-            (event.code === 'F5' && event.ctrlKey) || // Hard reload
-            (event.code === 'KeyI' && event.ctrlKey && event.shiftKey) ||
-            (event.code === 'F11') || // Fullscreen
-            (event.code === 'F12') // Developer tools
-        ) return;
+        // The key up of a key sent to Android is sent too, even if the modifiers changed
+        // meanwhile and it now matches a shortcut. Otherwise the key would stay pressed.
+        const forwarded = event.type === 'keyup' && this._keyTargets.has(event.code)
+
+        if (!forwarded && this._releaseShortcut !== null && _shortcuts.matches(this._releaseShortcut, event)) {
+            event.preventDefault();
+            if (event.type === 'keydown')
+                this.releaseKeyboard();
+            return;
+        }
+
+        // Leave the allowed shortcuts to the browser
+        if (!forwarded &&
+            this._passthroughShortcuts.some(shortcut => _shortcuts.matches(shortcut, event)) &&
+            !this._blockedShortcuts.some(shortcut => _shortcuts.matches(shortcut, event)))
+            return;
 
         event.preventDefault();
 
+        const pressed = (event.type === 'keydown');
+        // Keys are released on the target they were pressed on, even if the key map
+        // or the application changed in between
+        const target = this._keyTargets.has(event.code) ?
+            this._keyTargets.get(event.code) : this._keyMapper.target(event.code)
+        if (pressed)
+            this._keyTargets.set(event.code, target)
+        else
+            this._keyTargets.delete(event.code)
+        if (target !== undefined) {
+            this._sendMappedKey(event, target, pressed)
+            return
+        }
+
+        // Modifiers are only sent along with the next key unless both sides are told apart
+        if (_sidedModifierKeys.includes(event.code) && !this._options.controls.sidedModifiers)
+            return
+
         const numpad_key_prefix = 'Numpad'
         const code = _keyScancodes[event.code];
-        const pressed = (event.type === 'keydown');
         if (code) {
-            // NOTE: no need to check the following modifier keys
-            // 'ScrollLock', 'NumLock', 'CapsLock'
-            // as they're mapped to event.code correctly
-            const modifierKeys = ['Control', 'Shift', 'Alt', 'Meta', 'AltGraph'];
-            for (let i = 0; i < modifierKeys.length; i++) {
-                this._triggerModifierEvent(event, modifierKeys[i]);
-            }
-
+            this._triggerModifierEvents(event)
             this._sendInputEvent('key', {
                 code: code,
                 pressed: pressed
@@ -1085,20 +2314,24 @@ class AnboxStream {
                     event_code = "Digit" + event_code
                 else
                     event_code = event.key
+                if (!(event_code in _keyScancodes)) {
+                    this._reportUnmappedKey(event)
+                    return
+                }
                 this._sendInputEvent('key', {
                     code: _keyScancodes[event_code],
                     pressed: pressed
                 });
             } else {
-                let attach_shift = false
-                if (event_code in _numPadMapper) {
-                    if (event_code === "Add" || event_code === "Multiply")
-                        attach_shift = true
-                    event_code = _numPadMapper[event_code]
+                if (!(event_code in _numPadMapper)) {
+                    this._reportUnmappedKey(event)
+                    return
                 }
+                const attach_shift = _numPadShifted.includes(event_code)
+                event_code = _numPadMapper[event_code]
                 if (attach_shift)
                     this._sendInputEvent('key', {
-                        code: _keyScancodes["Shift"],
+                        code: _keyScancodes[this._options.controls.sidedModifiers ? "ShiftLeft" : "Shift"],
                         pressed: pressed
                     });
                 this._sendInputEvent('key', {
@@ -1106,7 +2339,93 @@ class AnboxStream {
                     pressed: pressed
                 });
             }
+        } else {
+            this._reportUnmappedKey(event)
+        }
+    }
+
+    _reportUnmappedKey(event) {
+        if (this._options.experimental.debug)
+            console.info(`AnboxStream: no scancode for key ${event.code} (${event.key})`)
+        this._events.emit('unmappedKey', event.code, event.key, event.type === 'keydown')
+    }
+
+    _triggerModifierEvents(event) {
+        // The modifier keys are sent themselves
+        if (this._options.controls.sidedModifiers)
+            return
+
+        // NOTE: no need to check the following modifier keys
+        // 'ScrollLock', 'NumLock', 'CapsLock'
+        // as they're mapped to event.code correctly
+        const modifierKeys = ['Control', 'Shift', 'Alt', 'Meta', 'AltGraph'];
+        for (let i = 0; i < modifierKeys.length; i++) {
+            this._triggerModifierEvent(event, modifierKeys[i]);
+        }
+    }
+
+    /**
+     * Send the input bound to a key by the key map
+     * @param event {KeyboardEvent}
+     * @param target {object|null} Normalized key map target, see _keyMaps
+     * @param pressed {boolean}
+     * @private
+     */
+    _sendMappedKey(event, target, pressed) {
+        if (target === null)
+            return
+
+        switch (target.type) {
+            case 'key':
+                this._triggerModifierEvents(event)
+                this._sendInputEvent('key', {
+                    code: _keyScancodes[target.code],
+                    pressed: pressed
+                });
+                break
+            case 'tap':
+                if (!event.repeat)
+                    this._sendKeyTap(event.code, target, pressed)
+                break
+            case 'gamepad-button':
+                if (!event.repeat)
+                    this._sendInputEvent('gamepad-button', {
+                        id: target.id,
+                        index: target.index,
+                        pressed: pressed
+                    });
+                break
+        }
+    }
+
+    _sendKeyTap(code, target, pressed) {
+        if (!pressed) {
+            if (!(code in this._keyTaps))
+                return
+            this._sendInputEvent('touch-end', {id: this._keyTaps[code]})
+            delete this._keyTaps[code]
+            return
         }
+
+        const video = document.getElementById(this._videoID)
+        if (code in this._keyTaps || !video)
+            return
+
+        // Android tracks up to 10 touch points, taps take the last free ones
+        // so that they don't collide with the touches of the user
+        const used = Object.values(this._keyTaps)
+        let id = 9
+        while (used.includes(id))
+            id--
+        if (id < 0)
+            return
+
+        this._keyTaps[code] = id
+        this._sendInputEvent('touch-start', {
+            id: id,
+            x: target.x * video.videoWidth,
+            y: target.y * video.videoHeight
+        })
     }
 
     /**
@@ -1125,7 +2444,7 @@ class AnboxStream {
     _convertTouchInput(x, y) {
         const dim = this._dimensions
         if (!dim)
-            throw new Error('sdk is not ready yet')
+            throw new AnboxStreamError('sdk is not ready yet', AnboxErrorCode.INVALID_STATE)
 
         if (this._currentRotation === 0)
             return {x: x, y: y}
@@ -1161,10 +2480,8 @@ class AnboxStream {
         if (!this._options.controls.gamepad)
             return;
         let gamepads = navigator.getGamepads();
-        if (gamepads.length > 0) {
-            this._gamepadManager = new _gamepadEventManager(this._sendInputEvent.bind(this));
+        if (gamepads.length > 0)
             this._gamepadManager.startPolling();
-        }
     }
 
     _setVideoContainerFocused(enabled) {
@@ -1180,8 +2497,12 @@ class AnboxStream {
         return obj === null || obj === undefined
     }
 
-    _stopStreamingOnError(errorMsg) {
-        this._options.callbacks.error(new Error(errorMsg));
+    _stopStreamingOnError(err) {
+        let error = err
+        if (!(err instanceof AnboxStreamError))
+            error = new AnboxStreamError(err?.message || String(err), AnboxErrorCode.UNKNOWN, {cause: err});
+        this._settleConnect(error);
+        this._events.emit('error', error);
         this._stopStreaming();
     }
 
@@ -1199,6 +2520,8 @@ class AnboxStream {
         // Android container via our own private protocol.
         // The IMEJSInterface is exposed from Android java layer(AnboxWebView)
         // through JavaScript bridge, so suppress eslint rule for those lines.
+        this._events.emit('imeStateChanged', visible);
+
         // eslint-disable-next-line no-undef
         if (!this._nullOrUndef(IMEJSInterface)) {
             this._setVideoContainerFocused(visible);
@@ -1213,161 +2536,684 @@ class AnboxStream {
     }
 }
 
-class _gamepadEventManager {
-    constructor(sendEvent) {
-        this._polling = false;
-        this._state = {};
-        this._dpad_remap_start_index = 6;
-        this._dpad_standard_start_index = 12;
-        this._sendInputEvent = sendEvent
+class _inputBatcher {
+    /**
+     * Regulate the input events sent to Anbox. Pointer moves are coalesced until the
+     * next animation frame, keeping the latest position of each pointer, and are held
+     * back while their channel has too much data queued so that input never waits
+     * behind stale moves. Other events are never dropped and, as long as the moves
+     * share the control channel with them, keep their order relative to the moves.
+     * The moves beginning or ending a touch are flagged as reliable so that they
+     * never overtake its start or end.
+     * @param send {function} Sends an input event and whether it must be sent reliably, returns
+     *        false if it could not be sent
+     * @param bufferedAmount {function} Returns the number of bytes queued on the channel carrying pointer moves
+     * @param options {object} input options, see AnboxStream
+     */
+    constructor(send, bufferedAmount, options) {
+        this._send = send
+        this._bufferedAmount = bufferedAmount
+        this._coalesceMoves = options.coalesceMoves
+        this._batch = options.batch
+        this._maxBufferedAmount = options.maxBufferedAmount
+        this._moves = new Map()
+        this._queue = []
+        this._frame = null
+        // Touches which didn't move since they started
+        this._startedTouches = new Set()
     }
 
-    startPolling() {
-        if (this._polling === true)
-            return;
+    /**
+     * @param type {string} Type of the input event e.g. 'touch-move'
+     * @param data {object} Content of the event
+     * @returns {boolean} False if the event could not be sent
+     */
+    push(type, data) {
+        const reliable = type === 'touch-move' && this._startedTouches.delete(data.id)
+        if (this._coalesceMoves && _coalescedInputEvents.includes(type)) {
+            const key = type === 'touch-move' ? `touch-${data.id}` : type
+            const previous = this._moves.get(key)
+            // Relative mouse movements add up while absolute positions replace each other
+            if (previous && type === 'mouse-move' && ('x' in data) === ('x' in previous.data))
+                data = Object.assign({}, data, {rx: previous.data.rx + data.rx, ry: previous.data.ry + data.ry})
+            this._moves.set(key, {type: type, data: data, reliable: reliable || (previous?.reliable ?? false)})
+            this._scheduleFlush()
+            return true
+        }
 
-        // Since chrome only supports event polling and we don't want
-        // to send any gamepad events to Android isntance if the state
-        // of any button or axis of gamepad is not changed. Hence we
-        // cache all keys state whenever it gets connected and provide
-        // event-driven gamepad events mechanism for gamepad events processing.
-        let gamepads = navigator.getGamepads();
-        for (let i = 0; i < gamepads.length; i++) {
-            if (gamepads[i])
-                this.cacheState(gamepads[i]);
+        if (type === 'touch-start') {
+            this._startedTouches.add(data.id)
+        } else if (type === 'touch-end') {
+            this._startedTouches.delete(data.id)
+            const move = this._moves.get(`touch-${data.id}`)
+            if (move)
+                move.reliable = true
         }
 
-        this._polling = true;
-        this.tick();
+        this._queueMoves()
+        if (this._batch) {
+            this._queue.push({type: type, data: data, reliable: reliable})
+            this._scheduleFlush()
+            return true
+        }
+        this._sendQueue()
+        return this._send(type, data, reliable)
     }
 
-    stopPolling() {
-        if (this._polling === true)
-            this._polling = false;
+    /**
+     * Drop pending events, e.g. when the stream stops
+     */
+    reset() {
+        window.cancelAnimationFrame(this._frame)
+        this._frame = null
+        this._moves.clear()
+        this._queue = []
+        this._startedTouches.clear()
     }
 
-    tick() {
-        this.queryEvents();
-        if (this._polling)
-            window.requestAnimationFrame(this.tick.bind(this));
+    _scheduleFlush() {
+        if (this._frame === null)
+            this._frame = window.requestAnimationFrame(this._flush.bind(this))
     }
 
-    queryEvents() {
-        let gamepads = navigator.getGamepads();
-        for (let i = 0; i < gamepads.length; i++) {
-            let gamepad = gamepads[i];
-            if (gamepad) {
-                // A new gamepad is added
-                if (!this._state[gamepad])
-                    this.cacheState(gamepad);
-                else {
-                    const buttons = gamepad.buttons;
-                    const cacheButtons = this._state[gamepad].buttons;
-                    for (let j = 0; j < buttons.length; j++) {
-                        if (cacheButtons[j].pressed !== buttons[j].pressed) {
-                            // Check the table at the following link that describes the buttons/axes
-                            // index and their physical locations.
-                            this._sendInputEvent('gamepad-button', {
-                                id: gamepad.index,
-                                index: j,
-                                pressed: buttons[j].pressed
-                            });
-                            cacheButtons[j].pressed = buttons[j].pressed;
-                        }
-                    }
+    _flush() {
+        this._frame = null
+        // While the channel is congested moves keep being coalesced, only events
+        // which must not be lost are sent
+        if (this._bufferedAmount() <= this._maxBufferedAmount)
+            this._queueMoves()
+        this._sendQueue()
+        if (this._moves.size > 0)
+            this._scheduleFlush()
+    }
 
-                    // NOTE: For some game controllers, E.g. PS3 or Xbox 360 controller, DPAD buttons
-                    // were translated to axes via html5 gamepad APIs and located in gamepad.axes array
-                    // indexed starting from 6 to 7.
-                    // When a DPAD button is pressed/unpressed, the corresponding value as follows
-                    //
-                    //     Button         |  Index  |   Pressed   |   Unpressed   |
-                    // DPAD_LEFT_BUTTON   |    6    |      -1     |        0      |
-                    // DPAD_RIGHT_BUTTON  |    6    |       1     |        0      |
-                    // DPAD_UP_BUTTON     |    7    |      -1     |        0      |
-                    // DPAD_DOWN_BUTTON   |    7    |       1     |        0      |
-                    //
-                    // When the above button was pressed/unpressed, we will send the gamepad-button
-                    // event instead.
-                    const axes = gamepad.axes;
-                    let dpad_button_index = 0;
-                    const cacheAxes = this._state[gamepad].axes;
-                    for (let k = 0; k < axes.length; k++) {
-                        if (cacheAxes[k] !== axes[k]) {
-                            switch (true) {
-                                case k < this._dpad_remap_start_index: // Standard axes
-                                    this._sendInputEvent('gamepad-axes', {
-                                        id: gamepad.index,
-                                        index: k,
-                                        value: axes[k]
-                                    });
-                                    break;
-                                case k === this._dpad_remap_start_index: // DPAD left and right buttons
-                                    if (axes[k] === -1) {
-                                        dpad_button_index = this._dpad_standard_start_index + 2;
-                                    } else if (axes[k] !== 0) {
-                                        dpad_button_index = this._dpad_standard_start_index + 3;
-                                    }
-
-                                    this._sendInputEvent('gamepad-button', {
-                                        id: gamepad.index,
-                                        index: dpad_button_index,
-                                        pressed: axes[k] !== 0
-                                    });
-                                    break;
-                                case k === this._dpad_remap_start_index + 1: //  DPAD up and down buttons
-                                    if (axes[k] === -1) {
-                                        dpad_button_index = this._dpad_standard_start_index;
-                                    } else if (axes[k] !== 0){
-                                        dpad_button_index = this._dpad_standard_start_index + 1;
-                                    }
-
-                                    this._sendInputEvent('gamepad-button', {
-                                        id: gamepad.index,
-                                        index: dpad_button_index,
-                                        pressed: axes[k] !== 0
-                                    });
-                                    break;
-                                default:
-                                    console.log("Unsupported axes index", k);
-                                    break;
-                            }
-                            cacheAxes[k] = axes[k];
-                        }
-                    }
-                }
+    _queueMoves() {
+        for (const move of this._moves.values())
+            this._queue.push(move)
+        this._moves.clear()
+    }
+
+    _sendQueue() {
+        if (this._queue.length === 0)
+            return
+        const events = this._queue
+        this._queue = []
+        if (this._batch && events.length > 1)
+            this._send('batch', {events: events})
+        else
+            events.forEach(event => this._send(event.type, event.data, event.reliable))
+    }
+}
+
+class _profileMapper {
+    /**
+     * Base of the mappers translating input according to user defined profiles. It
+     * keeps the profiles by name (application, gamepad.id, ...) and takes care of
+     * exporting and importing them as versioned JSON.
+     * @param kind {string} What the profiles are, used in error messages e.g. 'key maps'
+     * @param normalize {function} Validates a profile and returns its normalized copy, or null for null
+     * @param profiles {object} Initial profiles by name
+     */
+    constructor(kind, normalize, profiles) {
+        this._kind = kind
+        this._normalize = normalize
+        // A Map so that no name, e.g. "null" or "__proto__", is special
+        this._profiles = this._normalizeProfiles(profiles)
+    }
+
+    toJSON() {
+        return {version: 1, profiles: Object.fromEntries(this._profiles)}
+    }
+
+    /**
+     * Replace all profiles. Nothing is changed if any of them is invalid.
+     * @param json {string|object} Profiles as produced by toJSON()
+     */
+    load(json) {
+        let content = json
+        if (typeof(json) === 'string') {
+            try {
+                content = JSON.parse(json)
+            } catch (e) {
+                throw new AnboxStreamError(`invalid ${this._kind}`, AnboxErrorCode.INVALID_ARGUMENT, {cause: e})
             }
         }
+        if (content === null || typeof(content) !== 'object')
+            throw new AnboxStreamError(`invalid ${this._kind}`, AnboxErrorCode.INVALID_ARGUMENT)
+        if (!this._nullOrUndef(content.version) && content.version !== 1)
+            throw new AnboxStreamError(`unsupported ${this._kind} version ${content.version}`, AnboxErrorCode.INVALID_ARGUMENT)
+        const profiles = this._normalizeProfiles(content.profiles ?? {})
+        this._loadContent(content)
+        this._profiles = profiles
     }
 
-    cacheState(gamepad) {
-        if (!gamepad)
-            return;
+    /**
+     * Validate and apply what an import contains besides the profiles
+     * @param content {object} Parsed import
+     */
+    _loadContent(content) {}
 
-        const gamepadState = {};
-        const buttons = gamepad.buttons;
-        for (let index = 0; index < buttons.length; index++) {
-            let buttonState = {
-                pressed: buttons[index].pressed
-            };
-            if (gamepadState.buttons)
-                gamepadState.buttons.push(buttonState);
-            else
-                gamepadState.buttons = [buttonState];
-        }
+    _setProfile(name, profile) {
+        const normalized = this._normalize(profile)
+        if (normalized === null)
+            this._profiles.delete(name)
+        else
+            this._profiles.set(name, normalized)
+    }
 
-        const axes = gamepad.axes;
-        for (let index = 0; index < axes.length; index++) {
-            if (gamepadState.axes)
-                gamepadState.axes.push(axes[index]);
-            else
-                gamepadState.axes = [axes[index]];
-        }
+    _copy(profile) {
+        return this._nullOrUndef(profile) ? null : JSON.parse(JSON.stringify(profile))
+    }
 
-        this._state[gamepad] = gamepadState;
+    _normalizeProfiles(profiles) {
+        if (profiles === null || typeof(profiles) !== 'object' || Array.isArray(profiles))
+            throw new AnboxStreamError(`${this._kind} profiles must be an object`, AnboxErrorCode.INVALID_ARGUMENT)
+        const normalized = new Map()
+        for (const [name, profile] of Object.entries(profiles)) {
+            const normalizedProfile = this._normalize(profile)
+            if (normalizedProfile !== null)
+                normalized.set(name, normalizedProfile)
+        }
+        return normalized
     }
-}
 
+    _nullOrUndef(obj) {
+        return obj === null || obj === undefined
+    }
+}
+
+class _keyMapper extends _profileMapper {
+    /**
+     * Translate keyboard events according to user defined bindings before they are
+     * looked up in _keyScancodes. The default map applies to every application unless
+     * a profile exists for the application of the session. See _keyMaps for the format.
+     * @param options {object} keyMap options, see AnboxStream
+     * @param sidedModifiers {boolean} Whether the left and right modifiers are sent as distinct keys
+     *        and can be key map targets, see options.controls.sidedModifiers
+     */
+    constructor(options, sidedModifiers) {
+        super('key maps', (map) => _keyMaps.normalize(map, sidedModifiers), options.profiles)
+        this._map = this._normalize(options.map)
+        this._app = null
+    }
+
+    /**
+     * @param app {string|null} Application of the session, selects its profile if any
+     */
+    setApp(app) {
+        this._app = app
+    }
+
+    /**
+     * @param map {object|null} Key map, null to remove it
+     * @param [app] {string} Application the map is a profile for, the default map if omitted
+     */
+    setMap(map, app) {
+        if (this._nullOrUndef(app))
+            this._map = this._normalize(map)
+        else
+            this._setProfile(app, map)
+    }
+
+    /**
+     * @param [app] {string} Application of the profile, the default map if omitted
+     * @returns {object|null} Copy of the key map
+     */
+    getMap(app) {
+        return this._copy(this._nullOrUndef(app) ? this._map : this._profiles.get(app))
+    }
+
+    /**
+     * @param code {string} KeyboardEvent.code of the pressed key
+     * @returns {object|null|undefined} Target of the key, null if it is disabled or
+     *          undefined if the key is not remapped
+     */
+    target(code) {
+        // No session without application can pick a profile
+        const map = (this._app !== null && this._profiles.get(this._app)) || this._map
+        if (map === null || !Object.prototype.hasOwnProperty.call(map, code))
+            return undefined
+        return map[code]
+    }
+
+    toJSON() {
+        return Object.assign(super.toJSON(), {map: this._map})
+    }
+
+    _loadContent(content) {
+        this._map = this._normalize(content.map ?? null)
+    }
+}
+
+class _gamepadMapper extends _profileMapper {
+    /**
+     * Resolve how the buttons and axes of a gamepad translate to the standard gamepad
+     * layout expected by Anbox. Profiles set by the user are keyed on gamepad.id and
+     * take precedence over the built-in ones, which only apply to known controllers
+     * the browser does not remap itself. See _gamepadProfiles for the format.
+     * @param options {object} gamepad options, see AnboxStream
+     */
+    constructor(options) {
+        super('gamepad profiles', (profile) => _gamepadProfiles.normalize(profile), options.profiles)
+        this._deadzone = options.deadzone
+        // Bumped on every change so that connected gamepads pick up their new profile
+        this._version = 0
+        this._versions = new Map()
+    }
+
+    /**
+     * @param id {string} gamepad.id
+     * @returns {string} Changes whenever the profile of the gamepad may have changed
+     */
+    version(id) {
+        return `${this._version}.${this._versions.get(id) ?? 0}`
+    }
+
+    /**
+     * @returns {number} Deadzone of the axes without one of their own
+     */
+    deadzone() {
+        return this._deadzone
+    }
+
+    /**
+     * @param id {string} gamepad.id the profile applies to
+     * @param profile {object|null} Profile, null to remove it
+     */
+    setProfile(id, profile) {
+        this._setProfile(id, profile)
+        this._versions.set(id, (this._versions.get(id) ?? 0) + 1)
+    }
+
+    /**
+     * @param id {string} gamepad.id
+     * @returns {object|null} Copy of the profile set for the gamepad
+     */
+    getProfile(id) {
+        return this._copy(this._profiles.get(id))
+    }
+
+    _loadContent(content) {
+        this._version++
+    }
+
+    /**
+     * @param gamepad {Gamepad}
+     * @returns {{name: string, button: function, axis: function}} Name of the profile in use,
+     *          function returning the standard index of a button or null to ignore it and
+     *          function returning the configuration of an axis or null to ignore it
+     */
+    resolve(gamepad) {
+        let profile = this._profiles.get(gamepad.id) ?? null
+        let name = profile ? (profile.name ?? 'custom') : null
+        if (profile === null && gamepad.mapping !== 'standard') {
+            profile = _gamepadProfiles.builtin.find(builtin => _gamepadProfiles.matches(builtin, gamepad.id)) || null
+            name = profile ? profile.name : 'default'
+        }
+        if (profile === null) {
+            profile = {buttons: {}, axes: {}}
+            name = name ?? 'standard'
+        }
+
+        return {
+            name: name,
+            button: (index) => index in profile.buttons ? profile.buttons[index] : index,
+            axis: (index) => {
+                const fallback = _gamepadProfiles.defaultAxis(index)
+                if (!(index in profile.axes))
+                    return fallback
+                const axis = profile.axes[index]
+                if (axis === null)
+                    return null
+                // Only tuned, the axis keeps its default target
+                if (!('index' in axis) && !('dpad' in axis) && !('button' in axis))
+                    return fallback === null ? null : Object.assign({}, fallback, axis)
+                return Object.assign({invert: false, sensitivity: 1}, axis)
+            },
+        }
+    }
+}
+
+class _gamepadEventManager {
+    constructor(sendEvent, mapper) {
+        this._polling = false;
+        this._state = {};
+        this._sendInputEvent = sendEvent
+        this._mapper = mapper
+        // Gamepads whose events are held back while detectInput() waits for them
+        this._detecting = new Set()
+    }
+
+    startPolling() {
+        if (this._polling === true)
+            return;
+
+        // Since chrome only supports event polling and we don't want
+        // to send any gamepad events to Android isntance if the state
+        // of any button or axis of gamepad is not changed. Hence we
+        // cache all keys state whenever it gets connected and provide
+        // event-driven gamepad events mechanism for gamepad events processing.
+        let gamepads = navigator.getGamepads();
+        for (let i = 0; i < gamepads.length; i++) {
+            if (gamepads[i])
+                this.cacheState(gamepads[i]);
+        }
+
+        this._polling = true;
+        this.tick();
+    }
+
+    stopPolling() {
+        if (this._polling !== true)
+            return;
+
+        this._polling = false;
+        // Changes are not seen anymore, nothing may stay pressed or deflected
+        for (const [index, state] of Object.entries(this._state)) {
+            this._releaseButtons(Number(index), state)
+            this._centerAxes(Number(index), state)
+        }
+    }
+
+    tick() {
+        this.queryEvents();
+        if (this._polling)
+            window.requestAnimationFrame(this.tick.bind(this));
+    }
+
+    /**
+     * @returns {object[]} Connected gamepads ({index, id, mapping, profile})
+     */
+    gamepads() {
+        return Array.from(navigator.getGamepads())
+            .filter(gamepad => gamepad)
+            .map(gamepad => ({
+                index: gamepad.index,
+                id: gamepad.id,
+                mapping: gamepad.mapping,
+                profile: this._mapper.resolve(gamepad).name,
+            }))
+    }
+
+    queryEvents() {
+        let gamepads = navigator.getGamepads();
+        for (let i = 0; i < gamepads.length; i++) {
+            let gamepad = gamepads[i];
+            if (!gamepad)
+                continue
+
+            let state = this._state[gamepad.index]
+            // A new gamepad is added, another one took its slot or its profile changed
+            if (!state || state.id !== gamepad.id || state.version !== this._mapper.version(gamepad.id)) {
+                if (!state) {
+                    this.cacheState(gamepad);
+                    continue
+                }
+                this._releaseButtons(gamepad.index, state)
+                this._centerAxes(gamepad.index, state)
+                state = this._resetState(gamepad)
+            }
+
+            if (this._detecting.has(gamepad.index)) {
+                this.cacheState(gamepad);
+                continue
+            }
+
+            const buttons = gamepad.buttons;
+            for (let j = 0; j < buttons.length; j++) {
+                if (state.buttons[j] === buttons[j].pressed)
+                    continue
+                state.buttons[j] = buttons[j].pressed
+                // Check the table at the following link that describes the buttons/axes
+                // index and their physical locations.
+                // https://w3c.github.io/gamepad/#remapping
+                const target = state.profile.button(j)
+                if (target !== null)
+                    this._sendButton(gamepad.index, state, target, buttons[j].pressed)
+            }
+
+            const axes = gamepad.axes;
+            for (let k = 0; k < axes.length; k++) {
+                if (state.axes[k] === axes[k])
+                    continue
+                state.axes[k] = axes[k]
+                this._updateAxis(gamepad.index, state, k, axes[k])
+            }
+        }
+    }
+
+    cacheState(gamepad) {
+        if (!gamepad)
+            return;
+
+        const previous = this._state[gamepad.index]
+        const gamepadState = {
+            id: gamepad.id,
+            version: this._mapper.version(gamepad.id),
+            profile: this._mapper.resolve(gamepad),
+            buttons: gamepad.buttons.map(button => button.pressed),
+            axes: Array.from(gamepad.axes),
+            // Value last sent for each analog axis, by raw index
+            values: {},
+            // Button pressed through each axis driving buttons, by raw index
+            axisButtons: {},
+            // Standard buttons Anbox was told are pressed
+            pressed: previous && previous.id === gamepad.id ? previous.pressed : new Set(),
+        };
+
+        // Initial positions are not sent, only their changes
+        for (let k = 0; k < gamepadState.axes.length; k++) {
+            const axis = gamepadState.profile.axis(k)
+            if (axis === null)
+                continue
+            if ('index' in axis)
+                gamepadState.values[k] = this._adjustAxis(gamepadState.axes[k], axis)
+            else
+                gamepadState.axisButtons[k] = this._axisButton(gamepadState.axes[k], axis)
+        }
+
+        this._state[gamepad.index] = gamepadState;
+    }
+
+    // Cache the state Anbox was left in by _releaseButtons() and _centerAxes(), every button
+    // released and every axis centered, so that the current position is sent from there
+    _resetState(gamepad) {
+        this.cacheState(gamepad)
+        const state = this._state[gamepad.index]
+        state.buttons.fill(false)
+        state.axes.fill(NaN)
+        for (const k in state.values)
+            state.values[k] = 0
+        for (const k in state.axisButtons)
+            state.axisButtons[k] = null
+        return state
+    }
+
+    /**
+     * Sample the axes of a gamepad left at rest to suggest a deadzone for each of them
+     * @param index {number} gamepad.index
+     * @param duration {number} Time in milliseconds to sample the axes for
+     * @returns {Promise<object>} {id, axes: [{index, rest, noise, deadzone}]}, deadzone being null
+     *          for axes which don't rest near the center
+     */
+    calibrate(index, duration) {
+        const gamepad = navigator.getGamepads()[index]
+        if (!gamepad)
+            return Promise.reject(new AnboxDeviceError(`no gamepad connected at index ${index}`,
+                AnboxErrorCode.DEVICE_UNAVAILABLE, {device: 'gamepad'}))
+
+        const samples = gamepad.axes.map(() => [])
+        return new Promise((resolve) => {
+            const sample = () => {
+                const current = navigator.getGamepads()[index]
+                if (current && current.id === gamepad.id)
+                    current.axes.forEach((value, k) => samples[k]?.push(value))
+            }
+            const timer = window.setInterval(sample, 16)
+            window.setTimeout(() => {
+                window.clearInterval(timer)
+                resolve({
+                    id: gamepad.id,
+                    axes: samples.map((values, k) => {
+                        const rest = values.reduce((sum, v) => sum + v, 0) / Math.max(values.length, 1)
+                        const noise = values.reduce((max, v) => Math.max(max, Math.abs(v - rest)), 0)
+                        // The deadzone surrounds the center, it has to cover the offset of
+                        // the rest position as well as the noise around it. Leave some margin,
+                        // a stick at rest never reports more than half of its range.
+                        const offset = Math.abs(rest) + noise
+                        let deadzone = null
+                        if (Math.abs(rest) <= 0.5)
+                            deadzone = offset === 0 ? 0 : Math.min(0.5, Math.ceil((offset * 1.25 + 0.02) * 100) / 100)
+                        return {index: k, rest: rest, noise: noise, deadzone: deadzone}
+                    }),
+                })
+            }, duration)
+        })
+    }
+
+    /**
+     * Wait for a button to be pressed or an axis to be moved on a gamepad, e.g. to let a
+     * user pick the input to bind. Its events are not sent to Anbox meanwhile.
+     * @param index {number} gamepad.index
+     * @param timeout {number} Time in milliseconds after which the promise is rejected
+     * @returns {Promise<object>} {type: 'button', index} or {type: 'axis', index, direction}
+     *          with direction -1 or 1 and index the raw index in the Gamepad object
+     */
+    detectInput(index, timeout) {
+        const gamepad = navigator.getGamepads()[index]
+        if (!gamepad)
+            return Promise.reject(new AnboxDeviceError(`no gamepad connected at index ${index}`,
+                AnboxErrorCode.DEVICE_UNAVAILABLE, {device: 'gamepad'}))
+        if (this._detecting.has(index))
+            return Promise.reject(new AnboxStreamError(`already detecting an input on gamepad ${index}`, AnboxErrorCode.INVALID_STATE))
+
+        const state = this._state[index]
+        if (state) {
+            this._releaseButtons(index, state)
+            this._centerAxes(index, state)
+        }
+        this._detecting.add(index)
+
+        const buttons = gamepad.buttons.map(button => button.pressed)
+        const axes = Array.from(gamepad.axes)
+        return new Promise((resolve, reject) => {
+            const done = (callback, value) => {
+                window.clearInterval(timer)
+                window.clearTimeout(timeoutTimer)
+                this._detecting.delete(index)
+                callback(value)
+            }
+            const poll = () => {
+                const current = navigator.getGamepads()[index]
+                if (!current || current.id !== gamepad.id) {
+                    done(reject, new AnboxDeviceError(`gamepad ${index} was disconnected`,
+                        AnboxErrorCode.DEVICE_UNAVAILABLE, {device: 'gamepad'}))
+                    return
+                }
+                const button = current.buttons.findIndex((b, j) => b.pressed && !buttons[j])
+                if (button >= 0) {
+                    done(resolve, {type: 'button', index: button})
+                    return
+                }
+                const axis = current.axes.findIndex((value, k) => Math.abs(value - axes[k]) > 0.5)
+                if (axis >= 0)
+                    done(resolve, {type: 'axis', index: axis, direction: current.axes[axis] > axes[axis] ? 1 : -1})
+            }
+            const timer = window.setInterval(poll, 16)
+            const timeoutTimer = window.setTimeout(() =>
+                done(reject, new AnboxStreamError('no gamepad input detected', AnboxErrorCode.TIMEOUT)), timeout)
+        })
+    }
+
+    _updateAxis(id, state, k, value) {
+        const axis = state.profile.axis(k)
+        if (axis === null)
+            return
+
+        if ('index' in axis) {
+            const adjusted = this._adjustAxis(value, axis)
+            if (adjusted === state.values[k])
+                return
+            state.values[k] = adjusted
+            this._sendInputEvent('gamepad-axes', {
+                id: id,
+                index: axis.index,
+                value: adjusted
+            });
+            return
+        }
+
+        // NOTE: For some game controllers, E.g. PS3 or Xbox 360 controller, DPAD buttons
+        // were translated to axes via html5 gamepad APIs and located in gamepad.axes array
+        // indexed starting from 6 to 7. Their value is -1 for left and up, 1 for right and
+        // down and 0 when released. Analog triggers are reported as axes too.
+        // Such axes are sent as the corresponding buttons.
+        const button = this._axisButton(value, axis)
+        const previous = state.axisButtons[k] ?? null
+        if (button === previous)
+            return
+        if (previous !== null)
+            this._sendButton(id, state, previous, false)
+        if (button !== null)
+            this._sendButton(id, state, button, true)
+        state.axisButtons[k] = button
+    }
+
+    _adjustAxis(value, axis) {
+        const deadzone = axis.deadzone ?? this._mapper.deadzone()
+        const magnitude = Math.abs(value) < deadzone ? 0 : (Math.abs(value) - deadzone) / (1 - deadzone)
+        const adjusted = Math.max(-1, Math.min(1, Math.sign(value) * magnitude * axis.sensitivity))
+        // Adding 0 turns -0 into 0
+        return (axis.invert ? -adjusted : adjusted) + 0
+    }
+
+    _axisButton(value, axis) {
+        if ('dpad' in axis) {
+            if (value < -0.5)
+                return _gamepadDpadButtons[axis.dpad][0]
+            if (value > 0.5)
+                return _gamepadDpadButtons[axis.dpad][1]
+            return null
+        }
+        return value > axis.threshold ? axis.button : null
+    }
+
+    _sendButton(id, state, index, pressed) {
+        if (pressed)
+            state.pressed.add(index)
+        else
+            state.pressed.delete(index)
+        this._sendInputEvent('gamepad-button', {
+            id: id,
+            index: index,
+            pressed: pressed
+        });
+    }
+
+    _releaseButtons(id, state) {
+        for (const index of Array.from(state.pressed))
+            this._sendButton(id, state, index, false)
+    }
+
+    // Anbox keeps the last value of an axis, which must not outlive the state it was sent from
+    _centerAxes(id, state) {
+        for (const [k, value] of Object.entries(state.values)) {
+            if (value === 0)
+                continue
+            state.values[k] = 0
+            this._sendInputEvent('gamepad-axes', {
+                id: id,
+                index: state.profile.axis(Number(k)).index,
+                value: 0
+            });
+        }
+    }
+}
+
+// Codes sent to Anbox for each KeyboardEvent.code. They are USB HID usage IDs of the
+// keyboard page. Control to NumLock are Anbox specific values for the modifiers
+// collapsed over both sides of the keyboard. They overlap the usages of the keypad,
+// that's why numpad keys are sent as their equivalent of the main block, see _numPadMapper.
 const _keyScancodes = {
     KeyA: 4,
     KeyB: 5,
@@ -1415,7 +3261,10 @@ const _keyScancodes = {
     BracketLeft: 47,
     BracketRight: 48,
     Backslash: 49,
+    IntlHash: 50,
     Semicolon: 51,
+    Quote: 52,
+    Backquote: 53,
     Comma: 54,
     Period: 55,
     Slash: 56,
@@ -1451,8 +3300,59 @@ const _keyScancodes = {
     Meta: 86,
     AltGraph: 87,
     NumLock: 88,
+    IntlBackslash: 100,
+    ContextMenu: 101,
+    Power: 102,
+    F13: 104,
+    F14: 105,
+    F15: 106,
+    F16: 107,
+    F17: 108,
+    F18: 109,
+    F19: 110,
+    F20: 111,
+    F21: 112,
+    F22: 113,
+    F23: 114,
+    F24: 115,
+    Help: 117,
+    Select: 119,
+    Again: 121,
+    Undo: 122,
+    Cut: 123,
+    Copy: 124,
+    Paste: 125,
+    Find: 126,
+    AudioVolumeMute: 127,
+    AudioVolumeUp: 128,
+    AudioVolumeDown: 129,
+    IntlRo: 135,
+    KanaMode: 136,
+    IntlYen: 137,
+    Convert: 138,
+    NonConvert: 139,
+    Lang1: 144,
+    Lang2: 145,
+    Lang3: 146,
+    Lang4: 147,
+    Lang5: 148,
+    ControlLeft: 224,
+    ShiftLeft: 225,
+    AltLeft: 226,
+    MetaLeft: 227,
+    ControlRight: 228,
+    ShiftRight: 229,
+    AltRight: 230,
+    MetaRight: 231,
 };
 
+// Modifier keys sent as such when options.controls.sidedModifiers is enabled, the
+// collapsed Control, Shift, Alt and Meta states are sent otherwise
+const _sidedModifierKeys = [
+    'ControlLeft', 'ShiftLeft', 'AltLeft', 'MetaLeft',
+    'ControlRight', 'ShiftRight', 'AltRight', 'MetaRight',
+];
+
 const _modifierEnum = {
     Control: 0x1,
     Shift: 0x2,
@@ -1467,8 +3367,322 @@ const _numPadMapper = {
     Subtract: "Minus",
     Add: "Equal",
     Multiply: "Digit8",
+    Enter: "Enter",
+    Equal: "Equal",
+    Comma: "Comma",
+    ParenLeft: "Digit9",
+    ParenRight: "Digit0",
 }
 
+// Numpad keys only available with Shift on the main block
+const _numPadShifted = ['Add', 'Multiply', 'ParenLeft', 'ParenRight'];
+
+const _streamEvents = [
+    'connecting',
+    'signaling',
+    'iceStateChanged',
+    'ready',
+    'error',
+    'done',
+    'messageReceived',
+    'statsUpdated',
+    'reconnecting',
+    'reconnected',
+    'orientationChanged',
+    'imeStateChanged',
+    'keyboardCaptured',
+    'qualityChanged',
+    'sessionSummary',
+    'networkQualityChanged',
+    'unmappedKey',
+    'pointerLockChanged',
+];
+
+// Quality levels used by the adaptive quality control, from the best to the worst one.
+// bitrate is expressed in kbit/s.
+const _defaultQualityLevels = [
+    {name: 'high', height: 1080, fps: 60, bitrate: 8000},
+    {name: 'medium', height: 720, fps: 30, bitrate: 4000},
+    {name: 'low', height: 480, fps: 30, bitrate: 2000},
+    {name: 'minimal', height: 360, fps: 20, bitrate: 1000},
+];
+
+// Input events only the latest of which matters, see _inputBatcher
+const _coalescedInputEvents = ['touch-move', 'mouse-move'];
+
+// Input events superseded by the next one of the same kind, sent without
+// retransmission when possible, see AnboxWebRTCManager.sendInputMessage
+const _unreliableInputEvents = ['touch-move', 'mouse-move', 'gamepad-axes'];
+
+// Gamepad axes values within this distance of the center are sent reliably. Sticks
+// rarely rest at exactly 0 and the update bringing one back is the last one.
+const _gamepadAxisRestRange = 0.1;
+
+// Standard buttons of the directional pad driven by an axis, negative direction first
+const _gamepadDpadButtons = {
+    x: [14, 15],
+    y: [12, 13],
+};
+
+// A gamepad profile maps the raw buttons and axes of a controller, by their index in
+// the Gamepad object, to the standard layout (https://w3c.github.io/gamepad/#remapping):
+//   - buttons: {raw index: standard index or null to ignore it}
+//   - axes: {raw index: configuration or null to ignore it}, an axis is either sent as
+//     {index, invert, deadzone, sensitivity}, as the directional pad buttons {dpad: 'x' or 'y'}
+//     or as a button pressed above a threshold {button, threshold}. A configuration without
+//     target only tunes the default one, e.g. {invert: true}.
+// Buttons and axes missing from a profile keep their default.
+const _gamepadProfiles = {
+    // Layouts of the Linux drivers, used by browsers which don't remap these controllers
+    builtin: [
+        {
+            name: 'Sony DualShock 4 / DualSense',
+            vendor: '054c',
+            buttons: {2: 3, 3: 2, 10: 16, 11: 10, 12: 11},
+            // Triggers are reported as buttons as well
+            axes: {2: null, 3: {index: 2, invert: false, sensitivity: 1}, 4: {index: 3, invert: false, sensitivity: 1}, 5: null},
+        },
+        {
+            // Also used by many third-party controllers in X-input mode, e.g. 8BitDo
+            name: 'Xbox 360',
+            vendor: '045e',
+            product: '028e',
+            buttons: {6: 8, 7: 9, 8: 16, 9: 10, 10: 11},
+            axes: {
+                2: {button: 6, threshold: 0},
+                3: {index: 2, invert: false, sensitivity: 1},
+                4: {index: 3, invert: false, sensitivity: 1},
+                5: {button: 7, threshold: 0},
+            },
+        },
+    ],
+
+    defaultAxis(index) {
+        if (index < 6)
+            return {index: index, invert: false, sensitivity: 1}
+        if (index === 6)
+            return {dpad: 'x'}
+        if (index === 7)
+            return {dpad: 'y'}
+        return null
+    },
+
+    matches(builtin, id) {
+        // Chrome: "Name (Vendor: 054c Product: 09cc)", Firefox: "54c-9cc-Name"
+        const match = id.match(/Vendor: ([0-9a-f]{1,4}) Product: ([0-9a-f]{1,4})/i) || id.match(/^([0-9a-f]{1,4})-([0-9a-f]{1,4})-/i)
+        if (!match)
+            return false
+        const vendor = match[1].toLowerCase().padStart(4, '0')
+        const product = match[2].toLowerCase().padStart(4, '0')
+        return vendor === builtin.vendor && (!builtin.product || product === builtin.product)
+    },
+
+    normalize(profile) {
+        if (profile === null || profile === undefined)
+            return null
+        if (typeof(profile) !== 'object' || Array.isArray(profile))
+            throw new AnboxStreamError('gamepad profile must be an object', AnboxErrorCode.INVALID_ARGUMENT)
+
+        const normalized = {buttons: {}, axes: {}}
+        if (profile.name !== null && profile.name !== undefined)
+            normalized.name = String(profile.name)
+
+        for (const [index, target] of Object.entries(profile.buttons ?? {})) {
+            this._validateIndex(index, 'button')
+            if (target !== null && !(Number.isInteger(target) && target >= 0))
+                throw new AnboxStreamError(`invalid target for gamepad button ${index}`, AnboxErrorCode.INVALID_ARGUMENT)
+            normalized.buttons[index] = target
+        }
+
+        for (const [index, axis] of Object.entries(profile.axes ?? {})) {
+            this._validateIndex(index, 'axis')
+            normalized.axes[index] = this._normalizeAxis(index, axis)
+        }
+        return normalized
+    },
+
+    _normalizeAxis(index, axis) {
+        if (axis === null)
+            return null
+        if (typeof(axis) !== 'object')
+            throw new AnboxStreamError(`invalid configuration for gamepad axis ${index}`, AnboxErrorCode.INVALID_ARGUMENT)
+
+        const targets = ['index', 'dpad', 'button'].filter(target => target in axis)
+        if (targets.length > 1)
+            throw new AnboxStreamError(`gamepad axis ${index} can only have one target`, AnboxErrorCode.INVALID_ARGUMENT)
+
+        const normalized = {}
+        if ('index' in axis) {
+            if (!Number.isInteger(axis.index) || axis.index < 0)
+                throw new AnboxStreamError(`invalid target for gamepad axis ${index}`, AnboxErrorCode.INVALID_ARGUMENT)
+            normalized.index = axis.index
+        } else if ('dpad' in axis) {
+            if (!(axis.dpad in _gamepadDpadButtons))
+                throw new AnboxStreamError(`gamepad axis ${index} can only drive the "x" or "y" directional pad`, AnboxErrorCode.INVALID_ARGUMENT)
+            return {dpad: axis.dpad}
+        } else if ('button' in axis) {
+            if (!Number.isInteger(axis.button) || axis.button < 0)
+                throw new AnboxStreamError(`invalid target for gamepad axis ${index}`, AnboxErrorCode.INVALID_ARGUMENT)
+            const threshold = axis.threshold ?? 0.5
+            if (!(threshold > -1 && threshold < 1))
+                throw new AnboxStreamError(`threshold of gamepad axis ${index} must be between -1 and 1`, AnboxErrorCode.INVALID_ARGUMENT)
+            return {button: axis.button, threshold: threshold}
+        }
+
+        if (axis.invert !== null && axis.invert !== undefined) {
+            if (typeof(axis.invert) !== 'boolean')
+                throw new AnboxStreamError(`invert of gamepad axis ${index} must be a boolean`, AnboxErrorCode.INVALID_ARGUMENT)
+            normalized.invert = axis.invert
+        }
+        if (axis.deadzone !== null && axis.deadzone !== undefined) {
+            if (!(axis.deadzone >= 0 && axis.deadzone < 1))
+                throw new AnboxStreamError(`deadzone of gamepad axis ${index} must be between 0 and 1`, AnboxErrorCode.INVALID_ARGUMENT)
+            normalized.deadzone = axis.deadzone
+        }
+        if (axis.sensitivity !== null && axis.sensitivity !== undefined) {
+            if (!(axis.sensitivity > 0))
+                throw new AnboxStreamError(`sensitivity of gamepad axis ${index} must be positive`, AnboxErrorCode.INVALID_ARGUMENT)
+            normalized.sensitivity = axis.sensitivity
+        }
+        return normalized
+    },
+
+    _validateIndex(index, kind) {
+        if (!/^\d+$/.test(index))
+            throw new AnboxStreamError(`invalid gamepad ${kind} index "${index}"`, AnboxErrorCode.INVALID_ARGUMENT)
+    },
+};
+
+// Key maps bind a KeyboardEvent.code to a target:
+//   - another key: 'ArrowUp' or {type: 'key', code: 'ArrowUp'}
+//   - a touch tap: {type: 'tap', x: 0.5, y: 0.9}, x and y are fractions of the width and height of the video
+//   - a gamepad button: {type: 'gamepad-button', index: 0, id: 0}, index as in the standard gamepad layout
+//   - null to ignore the key
+// The left and right modifiers (ControlLeft, ShiftRight, ...) are only valid targets
+// when options.controls.sidedModifiers is enabled.
+const _keyMaps = {
+    normalize(map, sidedModifiers) {
+        if (map === null || map === undefined)
+            return null
+        if (typeof(map) !== 'object' || Array.isArray(map))
+            throw new AnboxStreamError('key map must be an object', AnboxErrorCode.INVALID_ARGUMENT)
+        // Codes such as "__proto__" must not reach the prototype
+        const normalized = Object.create(null)
+        for (const [code, target] of Object.entries(map)) {
+            if (code.length === 0)
+                throw new AnboxStreamError('key map contains an empty key code', AnboxErrorCode.INVALID_ARGUMENT)
+            normalized[code] = this._normalizeTarget(code, target, sidedModifiers)
+        }
+        return normalized
+    },
+
+    _normalizeTarget(code, target, sidedModifiers) {
+        if (target === null)
+            return null
+        if (typeof(target) === 'string')
+            target = {type: 'key', code: target}
+        if (typeof(target) !== 'object')
+            throw new AnboxStreamError(`invalid key map target for "${code}"`, AnboxErrorCode.INVALID_ARGUMENT)
+
+        switch (target.type) {
+            case 'key':
+                if (!(target.code in _keyScancodes))
+                    throw new AnboxStreamError(`unknown key "${target.code}" in key map target for "${code}"`, AnboxErrorCode.INVALID_ARGUMENT)
+                if (!sidedModifiers && _sidedModifierKeys.includes(target.code))
+                    throw new AnboxStreamError(`key "${target.code}" in key map target for "${code}" requires sided modifiers`, AnboxErrorCode.INVALID_ARGUMENT)
+                return {type: 'key', code: target.code}
+            case 'tap':
+                if (!(target.x >= 0 && target.x <= 1 && target.y >= 0 && target.y <= 1))
+                    throw new AnboxStreamError(`tap coordinates for "${code}" must be between 0 and 1`, AnboxErrorCode.INVALID_ARGUMENT)
+                return {type: 'tap', x: target.x, y: target.y}
+            case 'gamepad-button': {
+                const id = target.id ?? 0
+                if (!Number.isInteger(target.index) || target.index < 0 || !Number.isInteger(id) || id < 0)
+                    throw new AnboxStreamError(`invalid gamepad button for "${code}"`, AnboxErrorCode.INVALID_ARGUMENT)
+                return {type: 'gamepad-button', index: target.index, id: id}
+            }
+            default:
+                throw new AnboxStreamError(`unknown key map target type "${target.type}" for "${code}"`, AnboxErrorCode.INVALID_ARGUMENT)
+        }
+    },
+};
+
+// Shortcuts left to the browser by default, see options.controls.shortcuts
+const _defaultBrowserShortcuts = [
+    '*+F5', 'Ctrl+*+R', // Reload
+    'Ctrl+Shift+*+I', '*+F12', // Developer tools
+    '*+F11', // Fullscreen
+];
+
+// Key combinations handled by the SDK itself, e.g. 'Ctrl+Shift+S'. A '*' lets the
+// modifiers which are not listed be in any state, e.g. '*+F5' matches Ctrl+F5 as well.
+const _shortcuts = {
+    parse(combo) {
+        const shortcut = {ctrl: false, shift: false, alt: false, meta: false, anyModifier: false, code: null}
+        for (const part of String(combo).split('+').map(p => p.trim())) {
+            switch (part.toLowerCase()) {
+                case '*':
+                    shortcut.anyModifier = true
+                    break
+                case 'ctrl':
+                case 'control':
+                    shortcut.ctrl = true
+                    break
+                case 'shift':
+                    shortcut.shift = true
+                    break
+                case 'alt':
+                    shortcut.alt = true
+                    break
+                case 'meta':
+                case 'cmd':
+                    shortcut.meta = true
+                    break
+                default:
+                    if (shortcut.code !== null || part.length === 0)
+                        throw new AnboxStreamError(`invalid shortcut "${combo}"`, AnboxErrorCode.INVALID_ARGUMENT)
+                    if (/^[a-z]$/i.test(part))
+                        shortcut.code = 'Key' + part.toUpperCase()
+                    else if (/^[0-9]$/.test(part))
+                        shortcut.code = 'Digit' + part
+                    else
+                        // Any KeyboardEvent.code, e.g. F2 or Backquote
+                        shortcut.code = part
+            }
+        }
+        if (shortcut.code === null)
+            throw new AnboxStreamError(`invalid shortcut "${combo}"`, AnboxErrorCode.INVALID_ARGUMENT)
+        return shortcut
+    },
+
+    matches(shortcut, event) {
+        const modifier = (pressed, listed) => listed ? pressed : (!pressed || shortcut.anyModifier)
+        return event.code === shortcut.code &&
+            modifier(event.ctrlKey, shortcut.ctrl) &&
+            modifier(event.shiftKey, shortcut.shift) &&
+            modifier(event.altKey, shortcut.alt) &&
+            modifier(event.metaKey, shortcut.meta)
+    },
+};
+
+// Ratings of the network quality from the best to the worst one, with the round trip time
+// in milliseconds and ratio of packets lost they allow. Anything worse is rated 'bad'.
+const _networkQualityLevels = [
+    {name: 'excellent', rtt: 50, packetLoss: 0.005},
+    {name: 'good', rtt: 100, packetLoss: 0.02},
+    {name: 'poor', rtt: 200, packetLoss: 0.05},
+];
+
+// Groups of statistics the stat overlay can display in detailed mode
+const _statsOverlayGroups = ['rtcConfig', 'network', 'video', 'videoInput', 'audioOutput'];
+
+// Sparklines drawn in the stat overlay, computed from the stats history
+const _statsOverlayGraphs = [
+    {id: 'bandwidth', label: 'bandWidth', metric: 'video.bandwidthMbit', minScale: 1, format: (v) => v.toFixed(2) + " Mbit/s"},
+    {id: 'fps', label: 'fps', metric: 'video.fps', minScale: 30, format: (v) => Math.round(v).toString()},
+    {id: 'rtt', label: 'currentRtt', metric: 'network.currentRtt', minScale: 0.05, format: (v) => (v * 1000).toFixed(0) + " ms"},
+];
+
 const _imeEventType = {
     Text: 0x1,
     Keycode: 0x2,
@@ -1477,51 +3691,678 @@ const _imeEventType = {
     ComposingRegion: 0x5,
 };
 
-class AnboxWebRTCManager {
+class _eventEmitter {
+    constructor() {
+        this._handlers = {}
+    }
+
     /**
-     * Handle the signaling process to establish a WebRTC stream between a client
-     * and a container.
-     * Requires a Session object and returns a video + audio element.
-     * @param options {Object} configuration of the WebRTC stream
-     * @param [options.enableSpeakers=true] {boolean} Enable speakers
-     * @param [options.enableMic=false] {boolean} Enable microphone
-     * @param [options.enableCamera=false] {boolean} Enable camera
-     * @param [options.deviceType] {string} Indicate the type of the device the SDK is running on
-     * @param [options.foregroundActivity] {string} Activity to be displayed in the foreground. NOTE: it only works with an application that has APK provided on its creation.
-     * @param [options.stats] {Object}
-     * @param [options.stats.enable=false] {boolean} Enable collection of statistics. Not recommended in production
-     * @param [options.stats.overlayID] {string} ID of the container in which the stat overlay will be displayed. Can be the stream container ID or something else.
-     * @param [options.debug=false] {boolean} Enable debug log
+     * Subscribe to an event
+     * @param event {string} Name of the event
+     * @param handler {function} Function called with the arguments of the event
      */
-    constructor(options) {
-        this._ws = null
-        this._pc = null
-        this._controlChan = null
-        this._stunServers = []
+    on(event, handler) {
+        if (typeof(handler) !== "function")
+            throw new AnboxStreamError('event handler must be a function', AnboxErrorCode.INVALID_ARGUMENT)
 
-        // Timer global to the whole signaling process
-        this._signalingTimeout = null;
+        if (!this._handlers[event])
+            this._handlers[event] = []
+        this._handlers[event].push(handler)
+    }
 
-        // Timer used to give the SDK a chance to reconnect if something goes wrong temporarily
-        this._disconnectedTimeout = null;
+    /**
+     * Unsubscribe from an event. Handlers registered with once() can be removed
+     * with the function originally given.
+     * @param event {string} Name of the event
+     * @param handler {function} Handler previously passed to on() or once()
+     */
+    off(event, handler) {
+        const handlers = this._handlers[event]
+        if (!handlers)
+            return
 
-        this._videoStream = null;
-        this._audioStream = null;
-        this._audioInputStream = null;
-        this._videoInputStream = null;
+        const index = handlers.findIndex(h => h === handler || h._original === handler)
+        if (index !== -1)
+            handlers.splice(index, 1)
+    }
 
-        this._userMedia = {}
-        this._userMedia.speakers = options.enableSpeakers || true;
-        this._userMedia.mic = options.enableMic || false;
-        this._userMedia.camera = options.enableCamera || false;
+    /**
+     * Subscribe to the next occurrence of an event only
+     * @param event {string} Name of the event
+     * @param handler {function} Function called with the arguments of the event
+     */
+    once(event, handler) {
+        if (typeof(handler) !== "function")
+            throw new AnboxStreamError('event handler must be a function', AnboxErrorCode.INVALID_ARGUMENT)
 
-        this._deviceType = options.deviceType || '';
-        this._foregroundActivity = options.foregroundActivity || '';
+        const wrapper = (...args) => {
+            this.off(event, wrapper)
+            handler(...args)
+        }
+        wrapper._original = handler
+        this.on(event, wrapper)
+    }
 
-        this._startTimer = performance.now()
+    emit(event, ...args) {
+        const handlers = this._handlers[event]
+        if (!handlers)
+            return
+
+        // Handlers may unsubscribe while we iterate, so work on a copy. A failing
+        // handler must not prevent the others from being notified.
+        for (const handler of handlers.slice()) {
+            try {
+                handler(...args)
+            } catch (e) {
+                console.error(`AnboxStream: handler for "${event}" event failed:`, e)
+            }
+        }
+    }
+}
+
+class _adaptiveQualityController {
+    /**
+     * Watch the stream statistics and pick the quality level the network can sustain.
+     * Levels are ordered from the best to the worst one. A change is only made after
+     * several consecutive samples agree and never twice within the cooldown period,
+     * so that a short glitch does not make the quality bounce.
+     * @param options {object} adaptiveQuality options, see AnboxStream
+     * @param changeLevel {function} Called with the new level and the reason of the change.
+     *        Returns false if the level could not be applied.
+     */
+    constructor(options, changeLevel) {
+        this._levels = options.levels ?? _defaultQualityLevels.map(level => ({...level}))
+        this._initialLevel = this._findLevel(options.initialLevel ?? 0)
+        this._downgrade = {
+            packetLoss: options.downgrade?.packetLoss ?? 0.05,
+            rtt: options.downgrade?.rtt ?? 300,
+            jitter: options.downgrade?.jitter ?? 50,
+            fps: options.downgrade?.fps ?? 0,
+        }
+        this._upgrade = {
+            packetLoss: options.upgrade?.packetLoss ?? 0.01,
+            rtt: options.upgrade?.rtt ?? 150,
+            jitter: options.upgrade?.jitter ?? 20,
+        }
+        this._downgradeAfter = options.downgradeAfter ?? 3
+        this._upgradeAfter = options.upgradeAfter ?? 10
+        this._cooldown = options.cooldown ?? 5000
+        this._policy = options.policy ?? this._defaultPolicy.bind(this)
+        this._changeLevel = changeLevel
+        this.reset()
+    }
+
+    reset() {
+        this._level = this._initialLevel
+        this._badSamples = 0
+        this._goodSamples = 0
+        this._lastChange = 0
+        this._lastVideo = null
+    }
+
+    /**
+     * @returns {object} Current quality level
+     */
+    currentLevel() {
+        return Object.assign({index: this._level}, this._levels[this._level])
+    }
+
+    /**
+     * @returns {boolean} True if the level in use differs from the best one and must be
+     *          sent to Anbox when a new control channel is opened
+     */
+    isConstrained() {
+        return this._level !== 0
+    }
+
+    /**
+     * Process a new statistics sample
+     * @param stats {object} Statistics as collected by AnboxWebRTCManager
+     */
+    update(stats) {
+        const video = stats.video
+        if (this._lastVideo === null) {
+            this._lastVideo = {packetsLost: video.packetsLost, packetsReceived: video.packetsReceived}
+            return
+        }
+
+        const lost = Math.max(0, (video.packetsLost || 0) - (this._lastVideo.packetsLost || 0))
+        const received = Math.max(0, (video.packetsReceived || 0) - (this._lastVideo.packetsReceived || 0))
+        this._lastVideo = {packetsLost: video.packetsLost, packetsReceived: video.packetsReceived}
+
+        const sample = {
+            packetLoss: lost + received > 0 ? lost / (lost + received) : 0,
+            rtt: (stats.network.currentRtt || 0) * 1000,
+            jitter: (video.jitter || 0) * 1000,
+            fps: video.fps || 0,
+        }
+
+        switch (this._policy(sample, this.currentLevel())) {
+            case 'downgrade':
+                this._badSamples++
+                this._goodSamples = 0
+                break
+            case 'upgrade':
+                this._goodSamples++
+                this._badSamples = 0
+                break
+            default:
+                this._badSamples = 0
+                this._goodSamples = 0
+        }
+
+        if (performance.now() - this._lastChange < this._cooldown)
+            return
+
+        if (this._badSamples >= this._downgradeAfter && this._level < this._levels.length - 1)
+            this._setLevel(this._level + 1, 'degraded')
+        else if (this._goodSamples >= this._upgradeAfter && this._level > 0)
+            this._setLevel(this._level - 1, 'improved')
+    }
+
+    _defaultPolicy(sample) {
+        const down = this._downgrade
+        if (sample.packetLoss > down.packetLoss ||
+            sample.rtt > down.rtt ||
+            sample.jitter > down.jitter)
+            return 'downgrade'
+
+        const up = this._upgrade
+        const healthy = sample.packetLoss < up.packetLoss &&
+            sample.rtt < up.rtt &&
+            sample.jitter < up.jitter
+        if (healthy)
+            return 'upgrade'
+
+        // A static display lowers the frame rate as well, it only counts when the
+        // network shows signs of trouble too
+        if (sample.fps < down.fps)
+            return 'downgrade'
+
+        return 'keep'
+    }
+
+    _setLevel(index, reason) {
+        const previous = this._level
+        this._level = index
+        if (!this._changeLevel(this.currentLevel(), reason)) {
+            this._level = previous
+            return
+        }
+        this._badSamples = 0
+        this._goodSamples = 0
+        this._lastChange = performance.now()
+    }
+
+    _findLevel(level) {
+        if (typeof(level) === "number")
+            return level
+        return this._levels.findIndex(l => l.name === level)
+    }
+}
+
+class _statsHistory {
+    /**
+     * Rolling history of the statistics collected by AnboxWebRTCManager, used to
+     * aggregate the metrics and summarize a session once it is over.
+     * @param size {number} Maximum number of samples kept. Older ones are dropped
+     */
+    constructor(size) {
+        this._size = size
+        this.reset()
+    }
+
+    reset() {
+        this._samples = []
+        this._startTime = null
+        this._lastTime = null
+        this._totals = {}
+        this._lastCounters = {}
+        this._freezeCount = 0
+        this._freezesReported = false
+        this._frozen = false
+        this._sums = {rtt: 0, rttCount: 0, fps: 0, bandwidthMbit: 0, count: 0}
+    }
+
+    /**
+     * Record a statistics snapshot. Only numeric values are kept, keyed by their path
+     * e.g. 'video.fps'.
+     * @param stats {object} Statistics as collected by AnboxWebRTCManager
+     */
+    push(stats) {
+        const sample = {time: Date.now()}
+        for (const [section, values] of Object.entries(stats)) {
+            for (const [name, value] of Object.entries(values)) {
+                if (typeof(value) === "number" && isFinite(value))
+                    sample[`${section}.${name}`] = value
+            }
+        }
+
+        if (this._startTime === null)
+            this._startTime = sample.time
+        this._lastTime = sample.time
+
+        this._samples.push(sample)
+        if (this._samples.length > this._size)
+            this._samples.shift()
+
+        // Counters restart from zero when the peer connection is recreated on reconnect
+        for (const key of ['video.totalBytesReceived', 'audioOutput.totalBytesReceived', 'audioInput.totalBytesSent',
+                           'videoInput.totalBytesSent', 'video.packetsLost', 'audioOutput.packetsLost',
+                           'video.freezes', 'video.freezesDuration', 'video.framesDropped']) {
+            const value = sample[key] || 0
+            const last = this._lastCounters[key] || 0
+            this._totals[key] = (this._totals[key] || 0) + (value >= last ? value - last : value)
+            this._lastCounters[key] = value
+        }
+
+        // Browsers detecting freezes report them, otherwise the video is considered
+        // frozen when no frame was rendered over a second
+        if ('video.freezes' in sample)
+            this._freezesReported = true
+        const frozen = sample['video.fps'] === 0
+        if (frozen && !this._frozen && this._sums.count > 0)
+            this._freezeCount++
+        this._frozen = frozen
+
+        if (sample['network.currentRtt'] > 0) {
+            this._sums.rtt += sample['network.currentRtt']
+            this._sums.rttCount++
+        }
+        this._sums.fps += sample['video.fps'] || 0
+        this._sums.bandwidthMbit += sample['video.bandwidthMbit'] || 0
+        this._sums.count++
+    }
+
+    samples() {
+        return this._samples.slice()
+    }
+
+    /**
+     * @returns {object} min, max, avg and p95 of every metric over the samples in the history
+     */
+    aggregate() {
+        const values = {}
+        for (const sample of this._samples) {
+            for (const [key, value] of Object.entries(sample)) {
+                if (key === 'time')
+                    continue
+                if (!values[key])
+                    values[key] = []
+                values[key].push(value)
+            }
+        }
+
+        const result = {}
+        for (const [key, list] of Object.entries(values)) {
+            const sorted = list.slice().sort((a, b) => a - b)
+            result[key] = {
+                min: sorted[0],
+                max: sorted[sorted.length - 1],
+                avg: sorted.reduce((a, b) => a + b, 0) / sorted.length,
+                p95: sorted[Math.min(sorted.length - 1, Math.ceil(sorted.length * 0.95) - 1)],
+                count: sorted.length,
+            }
+        }
+        return result
+    }
+
+    /**
+     * @returns {object|null} Summary of the whole session, not limited to the samples
+     *          still in the history, or null if nothing was recorded
+     */
+    summary() {
+        if (this._sums.count === 0)
+            return null
+        return {
+            startTime: new Date(this._startTime).toISOString(),
+            endTime: new Date(this._lastTime).toISOString(),
+            duration: (this._lastTime - this._startTime) / 1000,
+            samples: this._sums.count,
+            totalBytesReceived: this._totals['video.totalBytesReceived'] + this._totals['audioOutput.totalBytesReceived'],
+            totalBytesSent: this._totals['audioInput.totalBytesSent'] + this._totals['videoInput.totalBytesSent'],
+            packetsLost: this._totals['video.packetsLost'] + this._totals['audioOutput.packetsLost'],
+            framesDropped: this._totals['video.framesDropped'],
+            freezeCount: this._freezesReported ? this._totals['video.freezes'] : this._freezeCount,
+            freezesDuration: this._freezesReported ? this._totals['video.freezesDuration'] : null,
+            averageRtt: this._sums.rttCount > 0 ? this._sums.rtt / this._sums.rttCount : 0,
+            averageFps: this._sums.fps / this._sums.count,
+            averageBandwidthMbit: this._sums.bandwidthMbit / this._sums.count,
+        }
+    }
+
+    toJSON() {
+        return {
+            summary: this.summary(),
+            aggregates: this.aggregate(),
+            history: this._samples,
+        }
+    }
+
+    /**
+     * @param [format='json'] {string} 'json' or 'csv'. CSV only contains the history
+     * @returns {string}
+     */
+    export(format) {
+        switch (format ?? 'json') {
+            case 'json':
+                return JSON.stringify(this, null, 2)
+            case 'csv':
+                return this.toCSV()
+            default:
+                throw new AnboxStreamError(`unsupported stats export format "${format}"`, AnboxErrorCode.INVALID_ARGUMENT)
+        }
+    }
+
+    toCSV() {
+        const columns = []
+        for (const sample of this._samples) {
+            for (const key of Object.keys(sample)) {
+                if (key !== 'time' && !columns.includes(key))
+                    columns.push(key)
+            }
+        }
+
+        const lines = [['time', ...columns].join(',')]
+        for (const sample of this._samples) {
+            const row = [new Date(sample.time).toISOString()]
+            for (const key of columns)
+                row.push(key in sample ? sample[key] : '')
+            lines.push(row.join(','))
+        }
+        return lines.join('\n')
+    }
+}
+
+class _telemetryRecorder {
+    /**
+     * Turn the lifecycle events and statistics of a stream into telemetry events
+     * handed to a reporter. Whether a connection is reported is decided once when
+     * it starts, according to the sample rate.
+     * @param options {object} telemetry options, see AnboxStream
+     * @param streamID {string} ID of the stream the events belong to
+     */
+    constructor(options, streamID) {
+        this._reporter = options.reporter
+        this._sampleRate = options.sampleRate
+        this._statsInterval = options.statsInterval
+        this._streamID = streamID
+        this._sampled = false
+        this._sessionID = null
+        this._connectStart = 0
+        this._connected = false
+        this._firstFrame = false
+        this._reconnectStart = 0
+        this._statsCount = 0
+    }
+
+    /**
+     * Subscribe to the events of a stream
+     * @param events {_eventEmitter} Events of the stream
+     */
+    attach(events) {
+        events.on('connecting', () => {
+            this._sampled = Math.random() < this._sampleRate
+            this._sessionID = null
+            this._connectStart = performance.now()
+            this._connected = false
+            this._firstFrame = false
+            this._statsCount = 0
+            this._record('connecting', {})
+        })
+        events.on('iceStateChanged', (state) => {
+            if (state !== 'connected' || this._connected)
+                return
+            this._connected = true
+            this._record('connected', {connectTime: this._elapsed(this._connectStart)})
+        })
+        events.on('error', (err) => this._record('error', {
+            code: err.code,
+            message: err.message,
+            recoverable: err.recoverable,
+        }))
+        events.on('reconnecting', (attempt, maxAttempts) => {
+            if (attempt === 1)
+                this._reconnectStart = performance.now()
+            this._record('reconnecting', {attempt: attempt, maxAttempts: maxAttempts})
+        })
+        events.on('reconnected', () => this._record('reconnected', {duration: this._elapsed(this._reconnectStart)}))
+        events.on('qualityChanged', (level, reason) => this._record('qualityChanged', {level: level.name, reason: reason}))
+        events.on('statsUpdated', (stats) => {
+            if (this._statsInterval === 0 || this._statsCount++ % this._statsInterval !== 0)
+                return
+            this._record('stats', JSON.parse(JSON.stringify(stats)))
+        })
+        events.on('sessionSummary', (summary) => this._record('sessionSummary', summary))
+        events.on('done', () => {
+            this._record('done', {duration: this._elapsed(this._connectStart)})
+            if (this._sampled && typeof(this._reporter.flush) === "function")
+                this._reporter.flush()
+        })
+    }
+
+    setSession(session) {
+        this._sessionID = session?.id ?? null
+    }
+
+    /**
+     * Record the first video frame being rendered. Only the first one of a connection is reported.
+     */
+    firstFrame() {
+        if (this._firstFrame)
+            return
+        this._firstFrame = true
+        this._record('firstFrame', {timeToFirstFrame: this._elapsed(this._connectStart)})
+    }
+
+    _elapsed(since) {
+        return Math.round(performance.now() - since)
+    }
+
+    _record(type, data) {
+        if (!this._sampled)
+            return
+        try {
+            this._reporter.report({
+                type: type,
+                time: Date.now(),
+                streamID: this._streamID,
+                sessionID: this._sessionID,
+                data: data,
+            })
+        } catch (e) {
+            console.error('AnboxStream: telemetry reporter failed:', e)
+        }
+    }
+}
+
+class _networkQualityMonitor {
+    /**
+     * Rate the network conditions as 'excellent', 'good', 'poor' or 'bad' from the
+     * round trip time, packet loss and bandwidth averaged over the last samples, so
+     * that a single late packet does not make the rating flicker.
+     */
+    constructor() {
+        this.reset()
+    }
+
+    reset() {
+        this._samples = []
+        this._lastVideo = null
+        this._quality = null
+        this._details = null
+    }
+
+    quality() {
+        return this._quality
+    }
+
+    details() {
+        return this._details
+    }
+
+    /**
+     * Process a new statistics sample
+     * @param stats {object} Statistics as collected by AnboxWebRTCManager
+     * @returns {boolean} True if the rating changed
+     */
+    update(stats) {
+        const video = stats.video
+        const lost = Math.max(0, (video.packetsLost || 0) - (this._lastVideo?.packetsLost || 0))
+        const received = Math.max(0, (video.packetsReceived || 0) - (this._lastVideo?.packetsReceived || 0))
+        this._lastVideo = {packetsLost: video.packetsLost, packetsReceived: video.packetsReceived}
+
+        this._samples.push({
+            rtt: (stats.network.currentRtt || 0) * 1000,
+            packetLoss: lost + received > 0 ? lost / (lost + received) : 0,
+            bandwidthMbit: video.bandwidthMbit || 0,
+        })
+        if (this._samples.length > 3)
+            this._samples.shift()
+
+        const average = (key) => this._samples.reduce((sum, sample) => sum + sample[key], 0) / this._samples.length
+        this._details = {
+            rtt: average('rtt'),
+            packetLoss: average('packetLoss'),
+            bandwidthMbit: average('bandwidthMbit'),
+        }
+
+        let quality = 'bad'
+        // No video received at all means the stream is stalled whatever the latency
+        if (this._details.bandwidthMbit > 0) {
+            const level = _networkQualityLevels.find(l => this._details.rtt < l.rtt && this._details.packetLoss < l.packetLoss)
+            if (level)
+                quality = level.name
+        }
+
+        if (quality === this._quality)
+            return false
+        this._quality = quality
+        return true
+    }
+}
+
+class AnboxWebRTCManager {
+    /**
+     * Handle the signaling process to establish a WebRTC stream between a client
+     * and a container.
+     * Requires a Session object and returns a video + audio element.
+     * Several callbacks can be registered for each lifecycle event (onReady, onError, ...).
+     * @param options {Object} configuration of the WebRTC stream
+     * @param [options.enableSpeakers=true] {boolean} Enable speakers
+     * @param [options.enableMic=false] {boolean} Enable microphone
+     * @param [options.enableCamera=false] {boolean} Enable camera
+     * @param [options.deviceType] {string} Indicate the type of the device the SDK is running on
+     * @param [options.foregroundActivity] {string} Activity to be displayed in the foreground. NOTE: it only works with an application that has APK provided on its creation.
+     * @param [options.reconnect] {Object} Configuration of the automatic reconnection
+     * @param [options.reconnect.maxAttempts=3] {number} Number of reconnection attempts before giving up. 0 disables reconnecting
+     * @param [options.reconnect.initialDelay=1000] {number} Delay in milliseconds before the first attempt
+     * @param [options.reconnect.backoffFactor=2] {number} Factor the delay is multiplied by after each failed attempt
+     * @param [options.reconnect.maxDelay=10000] {number} Upper bound in milliseconds of the delay between two attempts
+     * @param [options.reconnect.disconnectedTimeout=3000] {number} Time in milliseconds to wait for ICE to recover by itself
+     * @param [options.reconnect.attemptTimeout=15000] {number} Time in milliseconds after which an attempt is considered failed
+     * @param [options.stats] {Object}
+     * @param [options.stats.enable=false] {boolean} Enable collection of statistics. Not recommended in production
+     * @param [options.stats.overlayID] {string} ID of the container in which the stat overlay will be displayed. Can be the stream container ID or something else.
+     * @param [options.stats.overlay] {Object} Appearance of the stat overlay, see AnboxStream
+     * @param [options.stats.historySize=300] {number} Number of statistics samples (one per second) kept in the history
+     * @param [options.signalerFactory] {function} Returns a new signaler each time the signaling server is contacted. Defaults to an AnboxWebSocketSignaler
+     * @param [options.ping] {Object} Measurement of the latency over the control channel
+     * @param [options.ping.enable=false] {boolean} Periodically ping Anbox over the control channel
+     * @param [options.ping.interval=1000] {number} Time in milliseconds between two pings
+     * @param [options.ping.missedPongs=5] {number} Number of consecutive unanswered pings after which the connection is considered lost. 0 disables it
+     * @param [options.networkQuality] {Object}
+     * @param [options.networkQuality.enable=false] {boolean} Rate the network quality from the stream statistics
+     * @param [options.adaptiveQuality] {Object} Configuration of the adaptive quality control, see AnboxStream
+     * @param [options.adaptiveQuality.enable=false] {boolean} Adapt the stream quality to the network conditions
+     * @param [options.unreliableInput=true] {boolean} Send high-frequency input events over an unordered data channel
+     *        without retransmissions once Anbox confirms it reads it
+     * @param [options.binaryInput=false] {boolean} Offer Anbox to receive input events in a compact binary format
+     *        instead of JSON, see _binaryInputCodec in anbox-input-codec.js
+     * @param [options.debug=false] {boolean} Enable debug log
+     */
+    constructor(options) {
+        this._signaler = null
+        this._signalerFactory = options.signalerFactory || (() => new AnboxWebSocketSignaler())
+        this._pc = null
+        this._controlChan = null
+
+        // High-frequency input is sent on its own channel so that a lost move is
+        // superseded by the next one instead of delaying everything behind it. The
+        // channel is only used once Anbox sent something on it, older versions never do.
+        this._unreliableInput = options.unreliableInput ?? true
+        this._inputChan = null
+        this._inputChanReady = false
+
+        // Input events are JSON until Anbox accepts the binary format offered when
+        // the control channel opens
+        this._binaryInput = options.binaryInput ?? false
+        this._inputCodec = 'json'
+        this._stunServers = []
+
+        // Timer global to the whole signaling process
+        this._signalingTimeout = null;
+
+        // Timer used to give the SDK a chance to reconnect if something goes wrong temporarily
+        this._disconnectedTimeout = null;
+
+        // Reconnection state. The first attempt restarts ICE on the existing peer
+        // connection, further ones start over with a fresh peer connection.
+        this._session = null
+        this._reconnectOptions = {
+            maxAttempts: options.reconnect?.maxAttempts ?? 3,
+            initialDelay: options.reconnect?.initialDelay ?? 1000,
+            backoffFactor: options.reconnect?.backoffFactor ?? 2,
+            maxDelay: options.reconnect?.maxDelay ?? 10 * 1000,
+            disconnectedTimeout: options.reconnect?.disconnectedTimeout ?? 3 * 1000,
+            attemptTimeout: options.reconnect?.attemptTimeout ?? 15 * 1000,
+        }
+        this._reconnecting = false
+        this._reconnectAttempt = 0
+        this._reconnectTimeout = null
+        this._iceRestart = false
+        this._connectedOnce = false
+
+        // Trickle ICE. Remote candidates can only be applied once the answer is set and
+        // local ones are only sent after the offer, so both are queued until then.
+        this._offerSent = false
+        this._remoteDescriptionSet = false
+        this._pendingLocalCandidates = []
+        this._pendingRemoteCandidates = []
+        this._candidateLog = []
+
+        this._videoStream = null;
+        this._audioStream = null;
+        this._audioInputStream = null;
+        this._videoInputStream = null;
+
+        this._userMedia = {}
+        this._userMedia.speakers = options.enableSpeakers || true;
+        this._userMedia.mic = options.enableMic || false;
+        this._userMedia.camera = options.enableCamera || false;
+
+        this._deviceType = options.deviceType || '';
+        this._foregroundActivity = options.foregroundActivity || '';
+
+        this._startTimer = performance.now()
         this._statsEnabled = options.stats?.enable || false
         this._statsOverlayID = options.stats?.overlayID
+        this._statsOverlayOptions = {
+            position: options.stats?.overlay?.position ?? 'top-left',
+            mode: options.stats?.overlay?.mode ?? 'detailed',
+            groups: options.stats?.overlay?.groups ?? _statsOverlayGroups,
+            graphs: options.stats?.overlay?.graphs ?? true,
+            width: options.stats?.overlay?.width ?? 250,
+            theme: Object.assign({
+                backgroundColor: 'rgba(0,0,0,0.75)',
+                color: 'white',
+                graphColor: '#0e8420',
+                fontSize: 'x-small',
+            }, options.stats?.overlay?.theme),
+        }
         this._showStatsOverlay = false
+        this._statsHistory = new _statsHistory(options.stats?.historySize ?? 300)
+        this._sessionSummary = null
         this._stats = {
             rtcConfig: {
                 sdpSemantics: '',
@@ -1535,7 +4376,9 @@ class AnboxWebRTCManager {
                 networkType: '',
                 transportType: '',
                 localCandidateType: '',
-                remoteCandidateType: ''
+                remoteCandidateType: '',
+                appRtt: 0,
+                appJitter: 0
             },
             video: {
                 bandwidthMbit: 0,
@@ -1545,7 +4388,18 @@ class AnboxWebRTCManager {
                 jitter: 0,
                 avgJitterBufferDelay: 0,
                 packetsReceived: 0,
-                packetsLost: 0
+                packetsLost: 0,
+                codec: '',
+                resolution: '',
+                frameWidth: 0,
+                frameHeight: 0,
+                framesDropped: 0,
+                keyFramesDecoded: 0,
+                // Not every browser detects freezes, null when unknown
+                freezes: null,
+                freezesDuration: null,
+                nackCount: 0,
+                pliCount: 0
             },
             audioOutput: {
                 bandwidthMbit: 0,
@@ -1560,24 +4414,57 @@ class AnboxWebRTCManager {
                 bandwidthMbit: 0,
                 totalBytesSent: 0
             },
+            videoInput: {
+                bandwidthMbit: 0,
+                totalBytesSent: 0,
+                fps: 0,
+                codec: '',
+                resolution: '',
+                frameWidth: 0,
+                frameHeight: 0,
+                nackCount: 0,
+                pliCount: 0,
+                qualityLimitationReason: ''
+            },
         }
 
         this._lastReport = {
             video: {},
             audioOutput: {},
             audioInput: {},
+            videoInput: {},
         }
 
         this._debugEnabled = options.debug;
 
-        this._onError = () => {}
-        this._onReady = () => {}
-        this._onClose = () => {}
+        // Application level latency. Anbox answers stream::ping messages with a stream::pong
+        // echoing the ping data. Missed pongs only count once a first one was received, as
+        // older Anbox versions do not answer pings at all.
+        this._pingOptions = {
+            enable: options.ping?.enable ?? false,
+            interval: options.ping?.interval ?? 1000,
+            missedPongs: options.ping?.missedPongs ?? 5,
+        }
+        this._pingTimer = null
+        this._pingID = 0
+        this._pingPending = 0
+        this._pongReceived = false
+        this._lastAppRtt = null
+
+        this._networkQuality = null
+        if (options.networkQuality?.enable)
+            this._networkQuality = new _networkQualityMonitor()
+
+        this._adaptiveQuality = null
+        if (options.adaptiveQuality?.enable)
+            this._adaptiveQuality = new _adaptiveQualityController(options.adaptiveQuality, this._onQualityLevelChanged.bind(this))
+
+        // Lifecycle events can have any number of subscribers while requests
+        // expecting an answer (permissions, sessions) are handled by a single callback
+        this._events = new _eventEmitter()
         this._onMicRequested = () => false
         this._onCameraRequested = () => false
-        this._onMessage = () => {}
-        this._onStatsUpdated = () => {}
-        this._onIMEStateChanged = () => {}
+        this._onSessionRequested = () => null
     }
 
     /**
@@ -1590,24 +4477,19 @@ class AnboxWebRTCManager {
      * @param callback {onWebRTCReady} Callback invoked with video and audio streams
      */
     onReady(callback) {
-        this._onReady = callback
+        this._events.on('ready', callback)
     }
 
     /**
      * @callback onWebRTCError
-     * @param error {string} Error message
+     * @param error {AnboxStreamError} Error which stopped the stream
      */
     /**
-     * Called when the video track has been successfully created
+     * Called when an error occurred. The stream is stopped afterwards
      * @param callback {onWebRTCError} Callback invoked with error message
      */
     onError(callback) {
-        this._onError = (err) => {
-            if (this._debugEnabled)
-                console.error(err)
-            callback(err)
-            this.stop()
-        }
+        this._events.on('error', callback)
     }
 
     /**
@@ -1618,7 +4500,7 @@ class AnboxWebRTCManager {
      * @param callback {onWebRTCClose} Callback invoked when the stream is finished
      */
     onClose(callback) {
-        this._onClose = callback
+        this._events.on('close', callback)
     }
 
     /**
@@ -1655,7 +4537,7 @@ class AnboxWebRTCManager {
      * @param callback {onMessage} Callback invoked when receiving a message from the Anbox container
      */
     onMessage(callback) {
-        this._onMessage = callback
+        this._events.on('message', callback)
     }
 
     /**
@@ -1667,7 +4549,7 @@ class AnboxWebRTCManager {
      * @param callback {onStatsUpdated} Callback invoked when stream statistics are updated
      */
     onStatsUpdated(callback) {
-        this._onStatsUpdated = callback
+        this._events.on('statsUpdated', callback)
     }
 
     /**
@@ -1678,84 +4560,264 @@ class AnboxWebRTCManager {
      * @param callback {onIMEStateChanged} Callback invoked when the state of IME is changed
      */
     onIMEStateChanged(callback) {
-        this._onIMEStateChanged = callback
+        this._events.on('imeStateChanged', callback)
     }
 
     /**
-     * Start the signaling process
-     * @param session {Object} Session object returned by the Stream Gateway
-     * @param session.websocket {string} URL of the websocket on which to start the signaling process
-     * @param session.stunServers {Object[]} List of additional STUN/TURN servers
+     * @callback onPointerLockRequested
+     * @param locked {boolean} True if Android wants the pointer to be locked, false if it wants it released
      */
-    start(session) {
-        if (session.websocket === undefined || session.websocket.length === 0) {
-            throw new Error('connector did not return any signaling information')
-        }
-
-        if (session.stunServers.length > 0)
-            this._includeStunServers(session.stunServers)
-
-        this._signalingTimeout = window.setTimeout(() => this._onError('signaling timed out'), 5 * 60 * 1000);
-        this._connectSignaler(session.websocket)
+    /**
+     * Called when the Android application asks for the pointer to be locked or released
+     * @param callback {onPointerLockRequested} Callback invoked with the requested state
+     */
+    onPointerLockRequested(callback) {
+        this._events.on('pointerLockRequested', callback)
     }
 
-    stop() {
-        this._log('stopping')
-        window.clearTimeout(this._signalingTimeout);
-        window.clearTimeout(this._disconnectedTimeout);
-        window.clearInterval(this._statsTimerId)
-
-        // Notify the other side that we're disconnecting to speed up potential reconnects
-        // NOTE: do not send a control message if the data channel is not created yet.
-        //       E.g. a peer connection is not established at all.
-        if (this._controlChan !== null)
-            this.sendControlMessage("stream::disconnect", {});
-
-        if (this._ws !== null) {
-            this._ws.close()
-            this._ws = null
-        }
-
-        if (this._pc !== null) {
-            this._pc.close();
-            this._pc = null;
-        }
-
-        if (this._audioInputStream)
-            this._audioInputStream.getTracks().forEach(track => track.stop());
-
-        if (this._videoInputStream)
-            this._videoInputStream.getTracks().forEach(track => track.stop());
+    /**
+     * @callback onSignaling
+     */
+    /**
+     * Called when the signaling process starts
+     * @param callback {onSignaling} Callback invoked when the signaling process starts
+     */
+    onSignaling(callback) {
+        this._events.on('signaling', callback)
     }
 
     /**
-     * Display statistics about the current stream in an overlay window
+     * @callback onIceStateChanged
+     * @param state {string} New ICE connection state
      */
-    showStatsOverlay() {
-        if (!this._statsOverlayID || this._statsOverlayID.length === 0)
-            throw new Error('no overlay container id given at initialization')
-
-        const container = document.getElementById(this._statsOverlayID)
-        if (!container)
-            throw new Error('invalid overlay container')
+    /**
+     * Called when the ICE connection state of the peer connection changes
+     * @param callback {onIceStateChanged} Callback invoked with the new ICE connection state
+     */
+    onIceStateChanged(callback) {
+        this._events.on('iceStateChanged', callback)
+    }
+
+    /**
+     * @callback onReconnecting
+     * @param attempt {number} Number of the current reconnection attempt, starting at 1
+     * @param maxAttempts {number} Maximum number of attempts before giving up
+     */
+    /**
+     * Called when the connection was lost and a reconnection attempt is started
+     * @param callback {onReconnecting} Callback invoked when reconnecting
+     */
+    onReconnecting(callback) {
+        this._events.on('reconnecting', callback)
+    }
+
+    /**
+     * @callback onReconnected
+     * @param videoSrc {Object} Stream to attach to the video element
+     * @param audioSrc {Object} Stream to attach to the audio element
+     */
+    /**
+     * Called when the connection was reestablished. The streams may differ from the
+     * ones given to onReady if the peer connection had to be recreated.
+     * @param callback {onReconnected} Callback invoked with video and audio streams
+     */
+    onReconnected(callback) {
+        this._events.on('reconnected', callback)
+    }
+
+    /**
+     * @callback onSessionSummary
+     * @param summary {Object} Summary of the statistics of the session
+     */
+    /**
+     * Called when the stream is stopped with a summary of the collected statistics
+     * @param callback {onSessionSummary} Callback invoked with the session summary
+     */
+    onSessionSummary(callback) {
+        this._events.on('sessionSummary', callback)
+    }
+
+    /**
+     * @callback onNetworkQualityChanged
+     * @param quality {string} 'excellent', 'good', 'poor' or 'bad'
+     * @param details {Object} Averaged rtt (ms), packetLoss (ratio) and bandwidthMbit the rating is based on
+     */
+    /**
+     * Called when the rating of the network quality changes
+     * @param callback {onNetworkQualityChanged} Callback invoked with the new rating
+     */
+    onNetworkQualityChanged(callback) {
+        this._events.on('networkQualityChanged', callback)
+    }
+
+    /**
+     * @callback onQualityChanged
+     * @param level {Object} New quality level
+     * @param reason {string} 'degraded' or 'improved'
+     */
+    /**
+     * Called when the adaptive quality control changed the quality of the stream
+     * @param callback {onQualityChanged} Callback invoked with the new quality level
+     */
+    onQualityChanged(callback) {
+        this._events.on('qualityChanged', callback)
+    }
+
+    /**
+     * @callback onSessionRequested
+     * @return {Promise<Object>|null} New session to run the signaling process against or null
+     *         to reuse the current one
+     */
+    /**
+     * Called when the signaling process has to be run again to reconnect
+     * @param callback {onSessionRequested} Callback invoked when a new session is needed
+     */
+    onSessionRequested(callback) {
+        this._onSessionRequested = callback
+    }
+
+    /**
+     * Start the signaling process
+     * @param session {Object} Session object returned by the Stream Gateway
+     * @param session.websocket {string} URL of the websocket on which to start the signaling process
+     * @param session.stunServers {Object[]} List of additional STUN/TURN servers
+     */
+    start(session) {
+        if (session.websocket === undefined || session.websocket.length === 0) {
+            throw new AnboxGatewayError('connector did not return any signaling information', AnboxErrorCode.INVALID_SESSION)
+        }
+
+        this._session = session
+        this._statsHistory.reset()
+        this._sessionSummary = null
+        if (session.stunServers.length > 0)
+            this._includeStunServers(session.stunServers)
+
+        this._signalingTimeout = window.setTimeout(() => {
+            this._onError(new AnboxSignalingError('signaling timed out', AnboxErrorCode.SIGNALING_TIMEOUT, {recoverable: true}))
+        }, 5 * 60 * 1000);
+        this._connectSignaler(session.websocket)
+    }
+
+    _onError(err) {
+        if (this._debugEnabled)
+            console.error(err)
+        this._events.emit('error', err)
+        this.stop()
+    }
+
+    stop() {
+        this._log('stopping')
+        window.clearTimeout(this._signalingTimeout);
+        window.clearTimeout(this._disconnectedTimeout);
+        window.clearTimeout(this._reconnectTimeout);
+        window.clearInterval(this._statsTimerId)
+        this._reconnecting = false
+        this._reconnectAttempt = 0
+        this._iceRestart = false
+        // The next connection has to come up by itself before losing it is worth reconnecting
+        this._connectedOnce = false
+
+        // Notify the other side that we're disconnecting to speed up potential reconnects
+        // NOTE: do not send a control message if the data channel is not created yet.
+        //       E.g. a peer connection is not established at all.
+        if (this._controlChan !== null)
+            this.sendControlMessage("stream::disconnect", {});
+
+        if (this._signaler !== null) {
+            this._signaler.close()
+            this._signaler = null
+        }
+
+        if (this._adaptiveQuality !== null)
+            this._adaptiveQuality.reset()
+
+        if (this._networkQuality !== null)
+            this._networkQuality.reset()
+
+        this._stopPing()
+        this._pingID = 0
+        this._pongReceived = false
+        this._lastAppRtt = null
+
+        // stop() can be called several times, the summary is only reported once
+        if (this._sessionSummary === null) {
+            this._sessionSummary = this._statsHistory.summary()
+            if (this._sessionSummary !== null)
+                this._events.emit('sessionSummary', this._sessionSummary)
+        }
+
+        if (this._pc !== null) {
+            this._pc.close();
+            this._pc = null;
+        }
+        this._closeInputChannel()
+        this._inputCodec = 'json'
+        this._resetCandidates()
+
+        if (this._audioInputStream)
+            this._audioInputStream.getTracks().forEach(track => track.stop());
+
+        if (this._videoInputStream)
+            this._videoInputStream.getTracks().forEach(track => track.stop());
+    }
+
+    /**
+     * Display statistics about the current stream in an overlay window
+     */
+    showStatsOverlay() {
+        if (!this._statsOverlayID || this._statsOverlayID.length === 0)
+            throw new AnboxStreamError('no overlay container id given at initialization', AnboxErrorCode.INVALID_STATE)
+
+        const container = document.getElementById(this._statsOverlayID)
+        if (!container)
+            throw new AnboxStreamError('invalid overlay container', AnboxErrorCode.INVALID_STATE)
+
+        if (this._showStatsOverlay)
+            return
 
         this._showStatsOverlay = true
 
+        const options = this._statsOverlayOptions
         const stats = document.createElement('div');
         stats.id = this._statsOverlayID + '_child';
         stats.style.position = "absolute";
-        stats.style.left = "0px";
-        stats.style.top = "0px";
-        stats.style.width = "250px";
-        stats.style.backgroundColor = "rgba(0,0,0,0.75)";
-        stats.style.color = "white";
-        stats.style.fontSize = "x-small";
+        const [vertical, horizontal] = options.position.split('-')
+        stats.style[vertical] = "0px";
+        stats.style[horizontal] = "0px";
+        stats.style.width = `${options.width}px`;
+        stats.style.backgroundColor = options.theme.backgroundColor;
+        stats.style.color = options.theme.color;
+        stats.style.fontSize = options.theme.fontSize;
         stats.style.borderRadius = "3px";
         stats.style.lineHeight = "20px";
         stats.style.whiteSpace = "pre";
+        stats.style.zIndex = "1";
         // Ignore the pointer interaction on stats overlay
         stats.style.pointerEvents = "none";
+
+        const text = document.createElement('div');
+        text.id = this._statsOverlayID + '_text';
+        stats.appendChild(text);
+
+        if (options.graphs) {
+            for (const graph of _statsOverlayGraphs) {
+                const label = document.createElement('div');
+                label.id = `${this._statsOverlayID}_${graph.id}_label`;
+                label.style.padding = "0 4px";
+                stats.appendChild(label);
+
+                const canvas = document.createElement('canvas');
+                canvas.id = `${this._statsOverlayID}_${graph.id}`;
+                canvas.width = options.width - 8;
+                canvas.height = 30;
+                canvas.style.display = "block";
+                canvas.style.margin = "0 4px 4px 4px";
+                stats.appendChild(canvas);
+            }
+        }
         container.appendChild(stats);
+        this._refreshStatsOverlay()
     }
 
     /**
@@ -1769,11 +4831,18 @@ class AnboxWebRTCManager {
 
         const stats = document.getElementById(this._statsOverlayID + '_child')
         if (!stats)
-            throw new Error('invalid overlay container')
+            throw new AnboxStreamError('invalid overlay container', AnboxErrorCode.INVALID_STATE)
 
         stats.remove()
     }
 
+    /**
+     * @returns {boolean} True if the stat overlay is displayed
+     */
+    isStatsOverlayVisible() {
+        return this._showStatsOverlay
+    }
+
     /**
      * video: Statistics on the received video track.
      *   bandwidthMbit: Video traffic received in mbits/s.
@@ -1784,8 +4853,18 @@ class AnboxWebRTCManager {
      *   avgJitterBufferDelay: Average variance in packet delay in seconds. A high jitter can mean an unstable or congested network.
      *   packetsReceived: Total number of packets received.
      *   packetsLost: Total number of packets lost.
+     *   codec: Codec of the video e.g. H264.
+     *   resolution: Resolution of the last decoded frame e.g. 1280x720, also available as frameWidth and frameHeight.
+     *   framesDropped: Total number of frames dropped before being decoded.
+     *   keyFramesDecoded: Total number of key frames decoded. Key frames are requested when the decoder lost track of the video.
+     *   freezes: Total number of video freezes noticeable by the user. null if the browser doesn't detect freezes.
+     *   freezesDuration: Total time in seconds the video was frozen. null if the browser doesn't detect freezes.
+     *   nackCount: Total number of negative acknowledgements sent to request the retransmission of lost packets.
+     *   pliCount: Total number of picture loss indications sent to request a key frame.
      * network: Information about the network and WebRTC connections.
      *   currentRtt: Current round trip time in seconds.
+     *   appRtt: Round trip time in seconds of the last ping answered by Anbox, including its processing time. Requires options.ping.enable.
+     *   appJitter: Smoothed variation of appRtt in seconds. Requires options.ping.enable.
      *   networkType: Type of network in use. Can be one of the following:
      *       bluetooth: This connection uses bluetooth.
      *       celullar: The connection uses a cellular data service to connect. This includes all cellular data services including EDGE (2G), HSPA (3G), LTE (4G), and NR (5G).
@@ -1808,6 +4887,15 @@ class AnboxWebRTCManager {
      * audioInput: Statistics related to the audio sent to the Anbox container
      *   bandwidthMbit: Audio traffic sent in mbits/s
      *   totalBytesSent: Total cumulated bytes sent for audio for the current session.
+     * videoInput: Statistics related to the camera video sent to the Anbox container
+     *   bandwidthMbit: Video traffic sent in mbits/s.
+     *   totalBytesSent: Total cumulated bytes sent for video for the current session.
+     *   fps: Frames per second sent.
+     *   codec: Codec of the video e.g. VP8.
+     *   resolution: Resolution of the frames sent e.g. 640x480, also available as frameWidth and frameHeight.
+     *   nackCount: Total number of retransmissions requested by the Anbox container.
+     *   pliCount: Total number of key frames requested by the Anbox container.
+     *   qualityLimitationReason: Reason why the resolution or frame rate is currently reduced (cpu, bandwidth, other), empty if it is not.
      * audioOutput: Information on the received audio track.
      *   bandwidthMbit: Audio traffic received in mbits/s.
      *   totalBytesReceived: Total cumulated bytes received for the current session.
@@ -1832,6 +4920,158 @@ class AnboxWebRTCManager {
         return this._stats;
     }
 
+    /**
+     * Statistics collected over the last seconds, oldest first. Each sample holds
+     * its time and the numeric statistics keyed by path, e.g. 'video.fps'
+     * @returns {Object[]}
+     */
+    getStatsHistory() {
+        return this._statsHistory.samples()
+    }
+
+    /**
+     * Minimum, maximum, average and 95th percentile of every metric in the history
+     * @returns {Object} Aggregates keyed by metric path
+     */
+    getStatsAggregates() {
+        return this._statsHistory.aggregate()
+    }
+
+    /**
+     * Summary of the current session, or of the last one once the stream is stopped
+     * @returns {Object|null} The summary or null if no statistics were collected
+     */
+    getSessionSummary() {
+        return this._sessionSummary ?? this._statsHistory.summary()
+    }
+
+    /**
+     * Export the statistics history, its aggregates and the session summary
+     * @param [format='json'] {string} 'json' or 'csv'. CSV only contains the history
+     * @returns {string}
+     */
+    exportStats(format) {
+        return this._statsHistory.export(format)
+    }
+
+    /**
+     * Current rating of the network quality
+     * @returns {string|null} 'excellent', 'good', 'poor', 'bad' or null if not rated yet or disabled
+     */
+    getNetworkQuality() {
+        if (this._networkQuality === null)
+            return null
+        return this._networkQuality.quality()
+    }
+
+    /**
+     * Quality level currently requested by the adaptive quality control
+     * @returns {Object|null} The level or null if adaptive quality is disabled
+     */
+    getQualityLevel() {
+        if (this._adaptiveQuality === null)
+            return null
+        return this._adaptiveQuality.currentLevel()
+    }
+
+    /**
+     * @returns {number} Number of bytes queued on the control channel and not sent yet
+     */
+    getControlChannelBufferedAmount() {
+        if (this._controlChan === null)
+            return 0
+        return this._controlChan.bufferedAmount
+    }
+
+    /**
+     * @returns {number} Number of bytes queued and not sent yet on the channel carrying pointer moves
+     */
+    getInputBufferedAmount() {
+        if (this._inputChanReady)
+            return this._inputChan.bufferedAmount
+        return this.getControlChannelBufferedAmount()
+    }
+
+    /**
+     * @returns {boolean} True if high-frequency input events are sent over the unreliable input channel
+     */
+    isUnreliableInputActive() {
+        return this._inputChanReady
+    }
+
+    /**
+     * Send an input event to the Android container. Events listed in _unreliableInputEvents
+     * go over the unreliable input channel when Anbox supports it, everything else over
+     * the control channel.
+     * @param type {string} Input event type without the "input::" prefix e.g. 'mouse-move'
+     * @param data {Object} Content of the event. The events of a batch can set reliable,
+     *        see the reliable parameter.
+     * @param [reliable=false] {boolean} Send the event over the control channel even if it
+     *        could be sent unreliably, to keep its order relative to the other events
+     * @returns {boolean} False if the event could not be sent
+     */
+    sendInputMessage(type, data, reliable) {
+        if (type === 'batch') {
+            const events = data.events.map(event => ({type: event.type, data: event.data}))
+            if (!this._inputChanReady)
+                return this._sendInput(this._controlChan, 'batch', {events: events})
+
+            const unreliable = data.events.map(event => !event.reliable && this._isUnreliableInput(event.type, event.data))
+            events.filter((event, n) => unreliable[n])
+                .forEach(event => this._sendUnreliableInput(event.type, event.data))
+            const reliableEvents = events.filter((event, n) => !unreliable[n])
+            if (reliableEvents.length === 0)
+                return true
+            return this._sendInput(this._controlChan, 'batch', {events: reliableEvents})
+        }
+
+        if (this._inputChanReady && !reliable && this._isUnreliableInput(type, data))
+            return this._sendUnreliableInput(type, data)
+        return this._sendInput(this._controlChan, type, data)
+    }
+
+    /**
+     * @returns {string} Format of the input events sent to Anbox, 'json' or the name of the binary codec
+     */
+    getInputCodec() {
+        return this._inputCodec
+    }
+
+    _isUnreliableInput(type, data) {
+        // A stick going back to rest is not followed by any other update, losing it
+        // would leave the axis stuck
+        if (type === 'gamepad-axes' && Math.abs(data.value) <= _gamepadAxisRestRange)
+            return false
+        // Relative mouse moves add up, none of them is superseded by the next one
+        if (type === 'mouse-move' && !('x' in data))
+            return false
+        return _unreliableInputEvents.includes(type)
+    }
+
+    _sendUnreliableInput(type, data) {
+        if (this._inputChan.readyState !== 'open')
+            return this._sendInput(this._controlChan, type, data)
+        return this._sendInput(this._inputChan, type, data)
+    }
+
+    _sendInput(channel, type, data) {
+        if (channel === null || channel.readyState !== 'open')
+            return false
+        // The codec is only loaded when binary input is enabled, JSON never needs it
+        if (this._inputCodec !== 'json') {
+            const buffer = _binaryInputCodec.encode(type, data)
+            if (buffer !== null) {
+                channel.send(buffer)
+                return true
+            }
+        }
+        channel.send(JSON.stringify({
+            type: 'input::' + type,
+            data: data
+        }))
+        return true
+    }
+
     /**
      * Send a control message to the Android container
      * @param type {string} Message type
@@ -1855,11 +5095,143 @@ class AnboxWebRTCManager {
         console.info(`Anbox SDK WebRTC [${Math.round(timeElapsed)}ms] : ${msg}`)
     }
 
+    _closeSignaler() {
+        if (this._signaler === null)
+            return
+        this._signaler.onopen = null
+        this._signaler.onerror = null
+        this._signaler.onmessage = null
+        this._signaler.onclose = null
+        this._signaler.close()
+        this._signaler = null
+    }
+
+    _closePeerConnection() {
+        window.clearInterval(this._statsTimerId)
+        this._stopPing()
+        if (this._pc === null)
+            return
+        this._pc.ontrack = null
+        this._pc.oniceconnectionstatechange = null
+        this._pc.onicecandidate = null
+        this._pc.close()
+        this._pc = null
+        this._controlChan = null
+        this._closeInputChannel()
+        this._inputCodec = 'json'
+        this._videoStream = null
+        this._audioStream = null
+        this._resetCandidates()
+    }
+
+    _resetCandidates() {
+        this._offerSent = false
+        this._remoteDescriptionSet = false
+        this._pendingLocalCandidates = []
+        this._pendingRemoteCandidates = []
+    }
+
+    _logCandidate(direction, state, candidate) {
+        const entry = {
+            time: Math.round(performance.now() - this._startTimer),
+            direction: direction,
+            state: state,
+            candidate: candidate.candidate,
+            sdpMid: candidate.sdpMid,
+            sdpMLineIndex: candidate.sdpMLineIndex,
+        }
+        this._candidateLog.push(entry)
+        this._log(`${direction} candidate ${state}: ${entry.candidate || '(end of candidates)'}`)
+    }
+
+    _dumpCandidateLog() {
+        if (!this._debugEnabled)
+            return
+        const lines = this._candidateLog.map(e =>
+            `  [${e.time}ms] ${e.direction} ${e.state} mid=${e.sdpMid} ${e.candidate || '(end of candidates)'}`)
+        this._log(`ICE candidate log:\n${lines.join('\n')}`)
+    }
+
+    /**
+     * Try to reestablish a lost connection. Every call starts a new attempt after
+     * an exponential backoff delay until the maximum number of attempts is reached.
+     * @private
+     */
+    _reconnect() {
+        window.clearTimeout(this._disconnectedTimeout);
+        window.clearTimeout(this._signalingTimeout);
+        window.clearTimeout(this._reconnectTimeout);
+
+        const maxAttempts = this._reconnectOptions.maxAttempts
+        if (!this._connectedOnce || this._reconnectAttempt >= maxAttempts) {
+            this._onError(new AnboxConnectionError('lost WebRTC connection', AnboxErrorCode.CONNECTION_LOST, {recoverable: true}))
+            return
+        }
+
+        this._reconnecting = true
+        this._reconnectAttempt++
+        this._pingPending = 0
+        const attempt = this._reconnectAttempt
+        const delay = Math.min(
+            this._reconnectOptions.initialDelay * Math.pow(this._reconnectOptions.backoffFactor, attempt - 1),
+            this._reconnectOptions.maxDelay)
+
+        this._log(`reconnecting in ${delay}ms (attempt ${attempt}/${maxAttempts})`)
+        this._events.emit('reconnecting', attempt, maxAttempts)
+
+        this._reconnectTimeout = window.setTimeout(async () => {
+            let session = null
+            try {
+                session = await this._onSessionRequested()
+            } catch (e) {
+                this._log(`failed to retrieve session to reconnect to: ${e.message}`)
+                if (this._reconnecting)
+                    this._reconnect()
+                return
+            }
+
+            // The stream may have been stopped while we were waiting for the session
+            if (!this._reconnecting)
+                return
+
+            if (session) {
+                this._session = session
+                this._stunServers = []
+                if (session.stunServers && session.stunServers.length > 0)
+                    this._includeStunServers(session.stunServers)
+            }
+
+            this._closeSignaler()
+            this._iceRestart = attempt === 1 && this._pc !== null
+            if (!this._iceRestart)
+                this._closePeerConnection()
+
+            this._signalingTimeout = window.setTimeout(() => {
+                this._log('reconnection attempt timed out')
+                this._reconnect()
+            }, this._reconnectOptions.attemptTimeout)
+            this._connectSignaler(this._session.websocket)
+        }, delay)
+    }
+
+    _onReconnectSucceeded() {
+        this._log('reconnected')
+        this._reconnecting = false
+        this._reconnectAttempt = 0
+        this._iceRestart = false
+        if (this._statsRequired())
+            this._startStatsUpdater();
+        this._events.emit('reconnected', this._videoStream, this._audioStream)
+    }
+
     _connectSignaler(url) {
-        this._ws = new WebSocket(url);
-        this._ws.onopen = this._onWsOpen.bind(this);
-        this._ws.onerror = this._onWsError.bind(this);
-        this._ws.onmessage = this._onWsMessage.bind(this);
+        this._events.emit('signaling')
+        this._offerSent = false
+        this._signaler = this._signalerFactory();
+        this._signaler.onopen = this._onSignalerOpen.bind(this);
+        this._signaler.onerror = this._onSignalerError.bind(this);
+        this._signaler.onmessage = this._onSignalerMessage.bind(this);
+        this._signaler.connect(url);
     }
 
     _includeStunServers(stun_servers) {
@@ -1872,7 +5244,18 @@ class AnboxWebRTCManager {
         }
     }
 
-    _onWsOpen() {
+    _onSignalerOpen() {
+        if (this._iceRestart) {
+            this._log('restarting ICE')
+            this._pc.createOffer({iceRestart: true})
+                .then(this._onRtcOfferCreated.bind(this))
+                .catch(err => {
+                    this._log(`failed to create ICE restart offer: ${err}`)
+                    this._reconnect()
+                });
+            return
+        }
+
         const config = {
             iceServers: this._stunServers
         };
@@ -1903,15 +5286,29 @@ class AnboxWebRTCManager {
         })
         this._controlChan = this._pc.createDataChannel('control');
         this._controlChan.onmessage = this._onControlMessageReceived.bind(this);
-        this._controlChan.onerror = (err) => this._onError('error on control channel', err);
-        this._controlChan.onclose = () => this._log('control channel is closed');
+        this._controlChan.onerror = (err) => this._onError(new AnboxConnectionError('error on control channel',
+            AnboxErrorCode.CONTROL_CHANNEL_FAILED, {recoverable: true, cause: err}));
+        this._controlChan.onclose = () => {
+            this._log('control channel is closed')
+            this._stopPing()
+        };
+        this._controlChan.onopen = this._onControlChannelOpen.bind(this);
+
+        if (this._unreliableInput) {
+            this._inputChan = this._pc.createDataChannel('input', {ordered: false, maxRetransmits: 0});
+            this._inputChan.onmessage = this._onInputChannelMessage.bind(this);
+            this._inputChan.onclose = () => {
+                this._log('input channel is closed, falling back to the control channel')
+                this._inputChanReady = false
+            };
+        }
 
         if (this._deviceType.length > 0) {
             let msg = {
                 type: 'settings',
                 device_type: this._deviceType
             };
-            this._ws.send(JSON.stringify(msg));
+            this._signaler.send(msg);
         }
 
         if (this._foregroundActivity.length > 0) {
@@ -1919,33 +5316,33 @@ class AnboxWebRTCManager {
                 type: 'settings',
                 foreground_activity: this._foregroundActivity,
             };
-            this._ws.send(JSON.stringify(msg));
+            this._signaler.send(msg);
         }
 
         this._log('creating offer')
         this._createOffer();
     }
 
-    _onWsError(err) {
-        this._onError('failed to communicate with the signaler', err);
+    _onSignalerError(err) {
+        if (this._reconnecting) {
+            this._log('failed to communicate with the signaler while reconnecting')
+            this._reconnect()
+            return
+        }
+        this._onError(new AnboxSignalingError('failed to communicate with the signaler',
+            AnboxErrorCode.SIGNALING_FAILED, {recoverable: true, cause: err}));
     }
 
-    _onWsMessage(event) {
-        const msg = JSON.parse(event.data);
-
+    _onSignalerMessage(msg) {
         switch (msg.type) {
             case 'answer':
                 this._log('got RTC answer')
-                this._pc.setRemoteDescription(new RTCSessionDescription({
-                    type: 'answer',
-                    sdp: atob(msg.sdp)
-                }));
+                this._onRtcAnswerReceived(atob(msg.sdp))
                 break
 
             case 'candidate':
-                this._log('got RTC candidate')
-                this._pc.addIceCandidate({
-                    'candidate': atob(msg.candidate),
+                this._onRemoteCandidate({
+                    'candidate': msg.candidate ? atob(msg.candidate) : '',
                     'sdpMLineIndex': msg.sdpMLineIndex,
                     'sdpMid': msg.sdpMid
                 });
@@ -1953,7 +5350,12 @@ class AnboxWebRTCManager {
 
             case 'error':
                 this._log('got RTC error')
-                this._onError(msg.message);
+                if (this._reconnecting) {
+                    this._log(`signaler refused to reconnect: ${msg.message}`)
+                    this._reconnect()
+                    break
+                }
+                this._onError(new AnboxSignalingError(msg.message, AnboxErrorCode.SIGNALER_ERROR));
                 break
 
             default:
@@ -1969,54 +5371,270 @@ class AnboxWebRTCManager {
 
         this._pc.createOffer()
             .then(this._onRtcOfferCreated.bind(this))
-            .catch(err => this._onError(`failed to create WebRTC offer: ${err}`));
+            .catch(err => {
+                if (err instanceof AnboxSignalingError && this._reconnecting) {
+                    this._log(`failed to send the offer while reconnecting: ${err.message}`)
+                    this._reconnect()
+                    return
+                }
+                if (!(err instanceof AnboxStreamError))
+                    err = new AnboxConnectionError(`failed to create WebRTC offer: ${err}`,
+                        AnboxErrorCode.OFFER_FAILED, {cause: err})
+                this._onError(err)
+            });
     }
 
     _onRtcOfferCreated(description) {
-        this._pc.setLocalDescription(description);
-        let msg = {
-            type: 'offer',
-            sdp: btoa(description.sdp)
-        };
-        if (this._ws.readyState === 1)
-            this._ws.send(JSON.stringify(msg));
+        // Candidates of a previous offer are of no use anymore, e.g. when restarting ICE
+        this._remoteDescriptionSet = false
+        this._pendingLocalCandidates = []
+        this._pendingRemoteCandidates = []
+        this._candidateLog = []
+
+        const pc = this._pc
+        return pc.setLocalDescription(description).then(() => {
+            // The stream was stopped or the peer connection replaced in the meantime
+            if (pc !== this._pc)
+                return
+            if (this._signaler === null || !this._signaler.isOpen())
+                throw new AnboxSignalingError('signaler closed before the offer could be sent',
+                    AnboxErrorCode.SIGNALING_FAILED, {recoverable: true})
+
+            let msg = {
+                type: 'offer',
+                sdp: btoa(description.sdp)
+            };
+            this._signaler.send(msg);
+            this._offerSent = true
+            this._flushLocalCandidates()
+        })
     }
 
-    _onControlMessageReceived(event) {
-        const msg = JSON.parse(event.data);
-        switch (msg.type) {
-            case "open-camera":
-                if (this._allowAccessCamera || this._onCameraRequested()) {
-                    const spec = JSON.parse(msg.data);
-                    this._openCamera(spec);
-                }
-                break;
+    _onRtcAnswerReceived(sdp) {
+        const pc = this._pc
+        pc.setRemoteDescription(new RTCSessionDescription({
+            type: 'answer',
+            sdp: sdp
+        })).then(() => {
+            if (pc !== this._pc)
+                return
+            this._remoteDescriptionSet = true
+            this._log(`remote description set, applying ${this._pendingRemoteCandidates.length} queued candidates`)
+            const candidates = this._pendingRemoteCandidates
+            this._pendingRemoteCandidates = []
+            candidates.forEach(candidate => this._addRemoteCandidate(candidate))
+        }).catch(err => {
+            if (pc !== this._pc)
+                return
+            if (this._reconnecting) {
+                this._log(`failed to apply WebRTC answer while reconnecting: ${err}`)
+                this._reconnect()
+                return
+            }
+            this._onError(new AnboxConnectionError(`failed to apply WebRTC answer: ${err}`,
+                AnboxErrorCode.ANSWER_FAILED, {cause: err}))
+        })
+    }
 
-            case "close-camera":
-                this._closeCamera();
-                break;
+    _onRemoteCandidate(candidate) {
+        if (!this._remoteDescriptionSet) {
+            this._logCandidate('remote', 'queued', candidate)
+            this._pendingRemoteCandidates.push(candidate)
+            return
+        }
+        this._addRemoteCandidate(candidate)
+    }
 
-            case "enable-microphone":
-                if (this._allowAccessMicrophone || this._onMicRequested()) {
-                    const spec = JSON.parse(msg.data);
-                    this._enableMicrophone(spec);
-                }
-                break;
+    _addRemoteCandidate(candidate) {
+        // An empty candidate signals the remote peer is done gathering
+        const pc = this._pc
+        pc.addIceCandidate(candidate)
+            .then(() => this._logCandidate('remote', 'applied', candidate))
+            .catch(err => {
+                // A single bad candidate must not break the connection, ICE fails
+                // by itself if none of the candidates work.
+                if (pc === this._pc)
+                    this._logCandidate('remote', `failed (${err})`, candidate)
+            })
+    }
 
-            case "disable-microphone":
-                this._disableMicrophone();
-                break;
+    _flushLocalCandidates() {
+        const candidates = this._pendingLocalCandidates
+        this._pendingLocalCandidates = []
+        candidates.forEach(candidate => this._sendLocalCandidate(candidate))
+    }
+
+    _sendLocalCandidate(candidate) {
+        if (!this._offerSent || this._signaler === null || !this._signaler.isOpen()) {
+            this._logCandidate('local', 'queued', candidate)
+            this._pendingLocalCandidates.push(candidate)
+            return
+        }
+        this._signaler.send({
+            type: 'candidate',
+            candidate: btoa(candidate.candidate),
+            sdpMid: candidate.sdpMid,
+            sdpMLineIndex: candidate.sdpMLineIndex,
+        });
+        this._logCandidate('local', 'sent', candidate)
+    }
+
+    _onControlChannelOpen() {
+        this._log('control channel is open')
+        this._startPing()
+        // Anbox versions without binary input support ignore the offer and keep getting JSON
+        if (this._binaryInput)
+            this.sendControlMessage('stream::input_codec', {codecs: [_binaryInputCodec.name, 'json']})
+        // Anbox starts at its best quality, a lower level picked before has to be sent again
+        if (this._adaptiveQuality !== null && this._adaptiveQuality.isConstrained())
+            this._sendQualityLevel(this._adaptiveQuality.currentLevel())
+    }
+
+    _onInputCodecSelected(data) {
+        const codec = data?.codec
+        const binary = this._binaryInput && codec === _binaryInputCodec.name
+        if (!binary && codec !== 'json') {
+            this._log(`ignoring unknown input codec ${codec}`)
+            return
+        }
+        this._log(`sending input events as ${codec}`)
+        this._inputCodec = codec
+    }
+
+    _onInputChannelMessage() {
+        if (this._inputChanReady)
+            return
+        this._log('input channel acknowledged, sending high-frequency input over it')
+        this._inputChanReady = true
+    }
+
+    _closeInputChannel() {
+        if (this._inputChan !== null) {
+            this._inputChan.onmessage = null
+            this._inputChan.onclose = null
+        }
+        this._inputChan = null
+        this._inputChanReady = false
+    }
+
+    _startPing() {
+        this._stopPing()
+        if (!this._pingOptions.enable)
+            return
+        this._pingTimer = window.setInterval(this._sendPing.bind(this), this._pingOptions.interval)
+    }
+
+    _stopPing() {
+        window.clearInterval(this._pingTimer)
+        this._pingTimer = null
+        this._pingPending = 0
+    }
+
+    _sendPing() {
+        const missedPongs = this._pingOptions.missedPongs
+        if (this._pongReceived && missedPongs > 0 && this._pingPending >= missedPongs && !this._reconnecting) {
+            this._log(`no answer to the last ${this._pingPending} pings`)
+            this._reconnect()
+            return
+        }
+
+        this._pingID++
+        if (this.sendControlMessage('stream::ping', {id: this._pingID, timestamp: performance.now()}))
+            this._pingPending++
+    }
+
+    _onPong(data) {
+        if (typeof(data) === 'string')
+            data = JSON.parse(data)
+        if (this._nullOrUndef(data?.timestamp))
+            return
+
+        this._pongReceived = true
+        // Pings sent after the answered one may still be on their way
+        this._pingPending = Math.max(0, Math.min(this._pingPending, this._pingID - data.id))
+
+        // RTT and jitter are expressed in seconds like the ICE round trip time. The jitter
+        // is smoothed the same way as for RTP (RFC 3550)
+        const rtt = (performance.now() - data.timestamp) / 1000
+        const network = this._stats.network
+        if (this._lastAppRtt !== null)
+            network.appJitter += (Math.abs(rtt - this._lastAppRtt) - network.appJitter) / 16
+        network.appRtt = rtt
+        this._lastAppRtt = rtt
+    }
+
+    _nullOrUndef(obj) {
+        return obj === null || obj === undefined
+    }
+
+    _onQualityLevelChanged(level, reason) {
+        if (!this._sendQualityLevel(level))
+            return false
+        this._log(`stream quality ${reason} to ${level.name}`)
+        this._events.emit('qualityChanged', level, reason)
+        return true
+    }
+
+    _sendQualityLevel(level) {
+        return this.sendControlMessage('stream::change_quality', {
+            level: level.name,
+            height: level.height,
+            fps: level.fps,
+            bitrate: level.bitrate,
+        })
+    }
+
+    _onControlMessageReceived(event) {
+        const msg = JSON.parse(event.data);
+        switch (msg.type) {
+            case "open-camera":
+                if (this._allowAccessCamera || this._onCameraRequested()) {
+                    const spec = JSON.parse(msg.data);
+                    this._openCamera(spec);
+                }
+                break;
+
+            case "close-camera":
+                this._closeCamera();
+                break;
+
+            case "enable-microphone":
+                if (this._allowAccessMicrophone || this._onMicRequested()) {
+                    const spec = JSON.parse(msg.data);
+                    this._enableMicrophone(spec);
+                }
+                break;
+
+            case "disable-microphone":
+                this._disableMicrophone();
+                break;
 
             case "show-ime":
-                this._onIMEStateChanged(true);
+                this._events.emit('imeStateChanged', true);
                 break
 
             case "hide-ime":
-                this._onIMEStateChanged(false);
+                this._events.emit('imeStateChanged', false);
+                break
+
+            case "enable-pointer-lock":
+                this._events.emit('pointerLockRequested', true);
+                break
+
+            case "disable-pointer-lock":
+                this._events.emit('pointerLockRequested', false);
+                break
+
+            case "stream::pong":
+                this._onPong(msg.data);
+                break
+
+            case "stream::input_codec":
+                this._onInputCodecSelected(msg.data);
                 break
 
             default:
-                this._onMessage(msg.type, msg.data);
+                this._events.emit('message', msg.type, msg.data);
         }
     }
 
@@ -2024,16 +5642,20 @@ class AnboxWebRTCManager {
         const kind = event.track.kind;
         if (kind === 'video') {
             this._videoStream = event.streams[0];
-            this._videoStream.onremovetrack = this._onClose;
+            this._videoStream.onremovetrack = () => this._events.emit('close');
         } else if (kind === 'audio') {
             this._audioStream = event.streams[0];
-            this._audioStream.onremovetrack = this._onClose;
+            this._audioStream.onremovetrack = () => this._events.emit('close');
         }
 
+        // While reconnecting the new streams are handed over once ICE is connected again
+        if (this._reconnecting)
+            return
+
         // Prevent streaming until both audio and video tracks are available
         if (this._videoStream && (!this._userMedia.speakers || this._audioStream)) {
-            this._onReady(this._videoStream, this._audioStream);
-            if (this._statsEnabled)
+            this._events.emit('ready', this._videoStream, this._audioStream);
+            if (this._statsRequired())
                 this._startStatsUpdater();
         }
     }
@@ -2042,36 +5664,51 @@ class AnboxWebRTCManager {
         if (this._pc === null)
             return;
 
+        this._events.emit('iceStateChanged', this._pc.iceConnectionState)
+
         switch (this._pc.iceConnectionState) {
             case 'failed':
                 this._log('ICE failed')
-                this._onError('failed to establish a WebRTC connection via ICE');
+                this._dumpCandidateLog()
+                // A connection which never came up is not worth reconnecting
+                if (!this._connectedOnce) {
+                    this._onError(new AnboxConnectionError('failed to establish a WebRTC connection via ICE',
+                        AnboxErrorCode.ICE_FAILED, {recoverable: true}));
+                    break;
+                }
+                this._reconnect();
                 break;
 
             case 'disconnected':
                 this._log('ICE disconnected')
                 // When we end up here the connection may not have closed, but we
                 // just have a temporary network problem. We wait for a moment and
-                // if the connection isn't reestablished we stop streaming
+                // if the connection isn't reestablished we try to reconnect
+                window.clearTimeout(this._disconnectedTimeout);
                 this._disconnectedTimeout = window.setTimeout(() => {
-                    this._onError('lost WebRTC connection')
-                }, 10 * 1000);
+                    this._reconnect()
+                }, this._reconnectOptions.disconnectedTimeout);
                 break;
 
             case 'closed':
                 this._log('ICE closed')
                 if (this._signalingTimeout) {
-                    this._onError('timed out to establish a WebRTC connection as signaler did not respond');
+                    this._onError(new AnboxSignalingError('timed out to establish a WebRTC connection as signaler did not respond',
+                        AnboxErrorCode.SIGNALING_TIMEOUT, {recoverable: true}));
                     return;
                 }
-                this._onClose();
+                this._events.emit('close');
                 break;
 
             case 'connected':
                 this._log('ICE connected')
+                this._dumpCandidateLog()
                 window.clearTimeout(this._disconnectedTimeout);
                 window.clearTimeout(this._signalingTimeout);
-                this._ws.close();
+                this._closeSignaler();
+                this._connectedOnce = true
+                if (this._reconnecting)
+                    this._onReconnectSucceeded();
                 break;
 
             default:
@@ -2080,16 +5717,17 @@ class AnboxWebRTCManager {
     }
 
     _onRtcIceCandidate(event) {
-        if (event.candidate !== null && event.candidate.candidate !== "") {
-            const msg = {
-                type: 'candidate',
-                candidate: btoa(event.candidate.candidate),
-                sdpMid: event.candidate.sdpMid,
-                sdpMLineIndex: event.candidate.sdpMLineIndex,
-            };
-            if (this._ws.readyState === 1)
-                this._ws.send(JSON.stringify(msg));
+        // Only null marks the end of the gathering, empty candidates are sent by
+        // browsers which still implement the end of a generation
+        if (event.candidate === null) {
+            this._log(`finished gathering local candidates (${this._pendingLocalCandidates.length} still queued)`)
+            this._sendLocalCandidate({candidate: '', sdpMid: null, sdpMLineIndex: null})
+            return
         }
+        if (event.candidate.candidate === "")
+            return
+        this._logCandidate('local', 'gathered', event.candidate)
+        this._sendLocalCandidate(event.candidate)
     }
 
     _createDummyStream() {
@@ -2156,7 +5794,7 @@ class AnboxWebRTCManager {
             },
         })
             .then(this._onRealVideoInputStreamAvailable.bind(this))
-            .catch(e => this._onError(`failed to open camera: ${e.name}`))
+            .catch(e => this._onDeviceError('camera', e))
     }
 
     _onRealVideoInputStreamAvailable(stream) {
@@ -2198,9 +5836,12 @@ class AnboxWebRTCManager {
             video: false
         })
             .then(this._onRealAudioInputStreamAvailable.bind(this))
-            .catch(e => {
-                this._onError(`failed to open microphone: ${e.name}`);
-            })
+            .catch(e => this._onDeviceError('microphone', e))
+    }
+
+    _onDeviceError(device, err) {
+        const code = (err.name === 'NotAllowedError') ? AnboxErrorCode.DEVICE_DENIED : AnboxErrorCode.DEVICE_UNAVAILABLE
+        this._onError(new AnboxDeviceError(`failed to open ${device}: ${err.name}`, code, {device: device, cause: err}))
     }
 
     _onRealAudioInputStreamAvailable(stream) {
@@ -2223,7 +5864,12 @@ class AnboxWebRTCManager {
         this._audioInputStream = stream;
     }
 
+    _statsRequired() {
+        return this._statsEnabled || this._adaptiveQuality !== null || this._networkQuality !== null
+    }
+
     _startStatsUpdater() {
+        window.clearInterval(this._statsTimerId)
         let pcConf = this._pc.getConfiguration();
         if (pcConf) {
             if ("sdpSemantics" in pcConf)
@@ -2248,9 +5894,15 @@ class AnboxWebRTCManager {
 
             this._pc.getStats(null).then((rawStats) => {
                 this._processRawStats(rawStats)
-                this._onStatsUpdated(this._stats)
+                this._statsHistory.push(this._stats)
+                if (this._adaptiveQuality !== null)
+                    this._adaptiveQuality.update(this._stats)
+                if (this._networkQuality !== null && this._networkQuality.update(this._stats))
+                    this._events.emit('networkQualityChanged', this._networkQuality.quality(), this._networkQuality.details())
                 if (this._showStatsOverlay)
                     this._refreshStatsOverlay()
+                if (this._statsEnabled)
+                    this._events.emit('statsUpdated', this._stats)
             });
         }, 1000);
     }
@@ -2263,6 +5915,14 @@ class AnboxWebRTCManager {
              return v * 8 / 1000 / 1000 / t
          }
 
+        // e.g. 'video/H264' is reported as 'H264'
+        const codec_name = (codecId) => {
+            const codec = codecId ? stats.get(codecId) : undefined
+            if (!codec || !codec.mimeType)
+                return ''
+            return codec.mimeType.split('/').pop()
+        }
+
         stats.forEach(report => {
             // mediaType is obsolete but kept for backward compatibility
             // https://www.w3.org/TR/webrtc-stats/#ref-for-dom-rtcrtpstreamstats-mediatype-1
@@ -2279,6 +5939,20 @@ class AnboxWebRTCManager {
                 this._lastReport.video = report
                 if (report.framesDecoded !== 0)
                     v.decodeTime = report.totalDecodeTime / report.framesDecoded;
+                v.codec = codec_name(report.codecId)
+                if (report.frameWidth && report.frameHeight) {
+                    v.frameWidth = report.frameWidth
+                    v.frameHeight = report.frameHeight
+                    v.resolution = `${report.frameWidth}x${report.frameHeight}`
+                }
+                v.framesDropped = report.framesDropped || 0
+                v.keyFramesDecoded = report.keyFramesDecoded || 0
+                if (report.freezeCount !== undefined) {
+                    v.freezes = report.freezeCount
+                    v.freezesDuration = report.totalFreezesDuration || 0
+                }
+                v.nackCount = report.nackCount || 0
+                v.pliCount = report.pliCount || 0
 
             } else if (report.type === 'inbound-rtp' && (report.kind === "audio" || report.mediaType === 'audio')) {
                 let a = this._stats.audioOutput
@@ -2300,6 +5974,23 @@ class AnboxWebRTCManager {
                 a.bandwidthMbit = bytes_to_mbits(report.bytesSent - (this._lastReport.audioInput?.bytesSent || 0), elapsedInSec)
                 this._lastReport.audioInput = report
 
+            } else if (report.type === 'outbound-rtp' && (report.kind === 'video' || report.mediaType === 'video')) {
+                let v = this._stats.videoInput
+                v.totalBytesSent = report.bytesSent
+                const elapsedInSec = Math.round((report.timestamp - (this._lastReport.videoInput?.timestamp || report.timestamp - 1000)) / 1000.0)
+                v.bandwidthMbit = bytes_to_mbits(report.bytesSent - (this._lastReport.videoInput?.bytesSent || 0), elapsedInSec)
+                this._lastReport.videoInput = report
+                v.fps = report.framesPerSecond || 0
+                v.codec = codec_name(report.codecId)
+                if (report.frameWidth && report.frameHeight) {
+                    v.frameWidth = report.frameWidth
+                    v.frameHeight = report.frameHeight
+                    v.resolution = `${report.frameWidth}x${report.frameHeight}`
+                }
+                v.nackCount = report.nackCount || 0
+                v.pliCount = report.pliCount || 0
+                v.qualityLimitationReason = report.qualityLimitationReason === 'none' ? '' : (report.qualityLimitationReason || '')
+
             } else if (report.type === 'candidate-pair' && report.nominated && report.state === "succeeded") {
                 let n = this._stats.network
                 n.currentRtt = report.currentRoundTripTime;
@@ -2324,7 +6015,9 @@ class AnboxWebRTCManager {
     }
 
     _refreshStatsOverlay() {
-        let overlay = document.getElementById(this._statsOverlayID + '_child');
+        let overlay = document.getElementById(this._statsOverlayID + '_text');
+        if (!overlay)
+            return
 
         overlay.replaceChildren();
         const insertHeader = (title) => {
@@ -2346,58 +6039,723 @@ class AnboxWebRTCManager {
         const mbits_format = (v) => v.toFixed(2) + " Mbit/s"
         const mb_format = (v) => (v / 1000 / 1000).toFixed(2) + " MB"
         const ms_format = (v) => (v * 1000).toFixed(2) + " ms"
+        const s_format = (v) => v.toFixed(2) + " s"
+
+        const options = this._statsOverlayOptions
+        if (options.mode === 'compact') {
+            insertStat("fps", this._stats.video.fps)
+            insertStat("bandWidth", mbits_format(this._stats.video.bandwidthMbit))
+            insertStat("currentRtt", ms_format(this._stats.network.currentRtt))
+            insertStat("packetsLost", this._stats.video.packetsLost)
+            if (this._stats.video.resolution !== "")
+                insertStat("resolution", this._stats.video.resolution)
+            this._refreshStatsOverlayGraphs()
+            return
+        }
+
+        if (options.groups.includes('rtcConfig')) {
+            insertHeader("RTC Configuration")
+            if (this._stats.rtcConfig.sdpSemantics !== "")
+                insertStat("sdpSemantics", this._stats.rtcConfig.sdpSemantics)
+            if (this._stats.rtcConfig.rtcpMuxPolicy !== "")
+                insertStat("rtcpMuxPolicy", this._stats.rtcConfig.rtcpMuxPolicy)
+            if (this._stats.rtcConfig.bundlePolicy !== "")
+                insertStat("bundlePolicy", this._stats.rtcConfig.bundlePolicy)
+            if (this._stats.rtcConfig.iceTransportPolicy !== "")
+                insertStat("iceTransportPolicy", this._stats.rtcConfig.iceTransportPolicy)
+            if (this._stats.rtcConfig.iceCandidatePoolSize !== "")
+                insertStat("iceCandidatePoolSize", this._stats.rtcConfig.iceCandidatePoolSize)
+        }
 
-        insertHeader("RTC Configuration")
-        if (this._stats.rtcConfig.sdpSemantics !== "")
-            insertStat("sdpSemantics", this._stats.rtcConfig.sdpSemantics)
-        if (this._stats.rtcConfig.rtcpMuxPolicy !== "")
-            insertStat("rtcpMuxPolicy", this._stats.rtcConfig.rtcpMuxPolicy)
-        if (this._stats.rtcConfig.bundlePolicy !== "")
-            insertStat("bundlePolicy", this._stats.rtcConfig.bundlePolicy)
-        if (this._stats.rtcConfig.iceTransportPolicy !== "")
-            insertStat("iceTransportPolicy", this._stats.rtcConfig.iceTransportPolicy)
-        if (this._stats.rtcConfig.iceCandidatePoolSize !== "")
-            insertStat("iceCandidatePoolSize", this._stats.rtcConfig.iceCandidatePoolSize)
-
-        insertHeader("Network")
-        insertStat("currentRtt", ms_format(this._stats.network.currentRtt))
-        insertStat("networkType", this._stats.network.networkType)
-        insertStat("transportType", this._stats.network.transportType)
-        insertStat("localCandidateType", this._stats.network.localCandidateType)
-        insertStat("remoteCandidateType", this._stats.network.remoteCandidateType)
-
-        insertHeader("Video")
-        insertStat("bandWidth", mbits_format(this._stats.video.bandwidthMbit))
-        insertStat("totalBytesReceived", mb_format(this._stats.video.totalBytesReceived))
-        insertStat("fps", this._stats.video.fps)
-        insertStat("decodeTime", ms_format(this._stats.video.decodeTime))
-        insertStat("jitter", ms_format(this._stats.video.jitter))
-        insertStat("avgJitterBufferDelay", ms_format(this._stats.video.avgJitterBufferDelay))
-        insertStat("packetsReceived", this._stats.video.packetsReceived)
-        insertStat("packetsLost", this._stats.video.packetsLost)
-
-        insertHeader("Audio Output")
-        insertStat("bandWidth", mbits_format(this._stats.audioOutput.bandwidthMbit))
-        insertStat("totalBytesReceived", mb_format(this._stats.audioOutput.totalBytesReceived))
-        insertStat("totalSamplesReceived", this._stats.audioOutput.totalSamplesReceived)
-        insertStat("jitter", ms_format(this._stats.audioOutput.jitter))
-        insertStat("avgJitterBufferDelay", ms_format(this._stats.audioOutput.avgJitterBufferDelay))
-        insertStat("packetsReceived", this._stats.audioOutput.packetsReceived)
-        insertStat("packetsLost", this._stats.audioOutput.packetsLost)
+        if (options.groups.includes('network')) {
+            insertHeader("Network")
+            insertStat("currentRtt", ms_format(this._stats.network.currentRtt))
+            if (this._pingOptions.enable) {
+                insertStat("appRtt", ms_format(this._stats.network.appRtt))
+                insertStat("appJitter", ms_format(this._stats.network.appJitter))
+            }
+            insertStat("networkType", this._stats.network.networkType)
+            insertStat("transportType", this._stats.network.transportType)
+            insertStat("localCandidateType", this._stats.network.localCandidateType)
+            insertStat("remoteCandidateType", this._stats.network.remoteCandidateType)
+        }
+
+        if (options.groups.includes('video')) {
+            insertHeader("Video")
+            insertStat("bandWidth", mbits_format(this._stats.video.bandwidthMbit))
+            insertStat("totalBytesReceived", mb_format(this._stats.video.totalBytesReceived))
+            insertStat("fps", this._stats.video.fps)
+            insertStat("decodeTime", ms_format(this._stats.video.decodeTime))
+            insertStat("jitter", ms_format(this._stats.video.jitter))
+            insertStat("avgJitterBufferDelay", ms_format(this._stats.video.avgJitterBufferDelay))
+            insertStat("packetsReceived", this._stats.video.packetsReceived)
+            insertStat("packetsLost", this._stats.video.packetsLost)
+            insertStat("codec", this._stats.video.codec)
+            insertStat("resolution", this._stats.video.resolution)
+            insertStat("framesDropped", this._stats.video.framesDropped)
+            insertStat("keyFramesDecoded", this._stats.video.keyFramesDecoded)
+            if (this._stats.video.freezes !== null) {
+                insertStat("freezes", this._stats.video.freezes)
+                insertStat("freezesDuration", s_format(this._stats.video.freezesDuration))
+            }
+            insertStat("nackCount", this._stats.video.nackCount)
+            insertStat("pliCount", this._stats.video.pliCount)
+        }
+
+        if (options.groups.includes('videoInput') && this._userMedia.camera) {
+            insertHeader("Video Input")
+            insertStat("bandWidth", mbits_format(this._stats.videoInput.bandwidthMbit))
+            insertStat("totalBytesSent", mb_format(this._stats.videoInput.totalBytesSent))
+            insertStat("fps", this._stats.videoInput.fps)
+            insertStat("codec", this._stats.videoInput.codec)
+            insertStat("resolution", this._stats.videoInput.resolution)
+            insertStat("nackCount", this._stats.videoInput.nackCount)
+            insertStat("pliCount", this._stats.videoInput.pliCount)
+            if (this._stats.videoInput.qualityLimitationReason !== "")
+                insertStat("qualityLimitation", this._stats.videoInput.qualityLimitationReason)
+        }
+
+        if (options.groups.includes('audioOutput')) {
+            insertHeader("Audio Output")
+            insertStat("bandWidth", mbits_format(this._stats.audioOutput.bandwidthMbit))
+            insertStat("totalBytesReceived", mb_format(this._stats.audioOutput.totalBytesReceived))
+            insertStat("totalSamplesReceived", this._stats.audioOutput.totalSamplesReceived)
+            insertStat("jitter", ms_format(this._stats.audioOutput.jitter))
+            insertStat("avgJitterBufferDelay", ms_format(this._stats.audioOutput.avgJitterBufferDelay))
+            insertStat("packetsReceived", this._stats.audioOutput.packetsReceived)
+            insertStat("packetsLost", this._stats.audioOutput.packetsLost)
+        }
+
+        this._refreshStatsOverlayGraphs()
+    }
+
+    _refreshStatsOverlayGraphs() {
+        if (!this._statsOverlayOptions.graphs)
+            return
+
+        // Graphs show the last minute at most
+        const samples = this._statsHistory.samples().slice(-60)
+        for (const graph of _statsOverlayGraphs) {
+            const canvas = document.getElementById(`${this._statsOverlayID}_${graph.id}`)
+            const label = document.getElementById(`${this._statsOverlayID}_${graph.id}_label`)
+            if (!canvas || !label)
+                continue
+
+            const values = samples.map(sample => sample[graph.metric] ?? 0)
+            const last = values.length > 0 ? values[values.length - 1] : 0
+            const max = Math.max(...values, graph.minScale)
+            label.textContent = `${graph.label}: ${graph.format(last)} (max ${graph.format(max)})`
+
+            const ctx = canvas.getContext('2d')
+            ctx.clearRect(0, 0, canvas.width, canvas.height)
+            if (values.length < 2)
+                continue
+
+            const step = canvas.width / 59
+            const offset = canvas.width - (values.length - 1) * step
+            ctx.strokeStyle = this._statsOverlayOptions.theme.graphColor
+            ctx.lineWidth = 1.5
+            ctx.beginPath()
+            values.forEach((value, n) => {
+                const x = offset + n * step
+                const y = canvas.height - 1 - (value / max) * (canvas.height - 2)
+                if (n === 0)
+                    ctx.moveTo(x, y)
+                else
+                    ctx.lineTo(x, y)
+            })
+            ctx.stroke()
+        }
     }
 }
 
-class AnboxStreamGatewayConnector {
+class AnboxWebSocketSignaler {
+    /**
+     * Default signaling transport, exchanging JSON messages with the Anbox Stream Gateway
+     * over a WebSocket.
+     *
+     * Any object implementing the same interface can be returned by the signalerFactory
+     * option of AnboxStream:
+     *  - connect(url) starts connecting to the signaling server
+     *  - send(msg) sends a message object ({type: 'offer', sdp: ...}, {type: 'candidate', ...}, ...).
+     *    A candidate message with an empty candidate marks the end of the local candidates
+     *  - isOpen() returns true once messages can be sent
+     *  - close() closes the transport. No handler must be called afterwards
+     * and calling the handlers set by the SDK: onopen(), onmessage(msg) with a message object
+     * ({type: 'answer', ...}, {type: 'candidate', ...} or {type: 'error', message: ...}),
+     * onerror(err) and onclose().
+     */
+    constructor() {
+        this._ws = null
+        this.onopen = null
+        this.onmessage = null
+        this.onerror = null
+        this.onclose = null
+    }
+
+    connect(url) {
+        this._ws = new WebSocket(url);
+        this._ws.onopen = () => this._call(this.onopen);
+        this._ws.onerror = (err) => this._call(this.onerror, err);
+        this._ws.onclose = () => this._call(this.onclose);
+        this._ws.onmessage = (event) => {
+            let msg = null
+            try {
+                msg = JSON.parse(event.data);
+            } catch (err) {
+                this._call(this.onerror, err)
+                return
+            }
+            this._call(this.onmessage, msg)
+        };
+    }
+
+    send(msg) {
+        this._ws.send(JSON.stringify(msg));
+    }
+
+    isOpen() {
+        return this._ws !== null && this._ws.readyState === WebSocket.OPEN
+    }
+
+    close() {
+        if (this._ws === null)
+            return
+        this._ws.onopen = null
+        this._ws.onerror = null
+        this._ws.onclose = null
+        this._ws.onmessage = null
+        this._ws.close()
+        this._ws = null
+    }
+
+    _call(handler, ...args) {
+        if (typeof(handler) === "function")
+            handler(...args)
+    }
+}
+
+class AnboxHttpTelemetryReporter {
+    /**
+     * Telemetry reporter sending batches of events to an HTTP endpoint. Events are
+     * POSTed as JSON ({"events": [...]}) once enough of them are queued, periodically
+     * and when the stream stops. When the page is hidden or unloaded the queue is sent
+     * with navigator.sendBeacon so it is not lost; beacons cannot carry custom headers.
+     *
+     * Each event has the following properties:
+     *   type: connecting, connected, firstFrame, error, reconnecting, reconnected,
+     *         qualityChanged, stats, sessionSummary or done
+     *   time: Time of the event in milliseconds since the epoch
+     *   streamID: ID of the AnboxStream, see AnboxStream.getId()
+     *   sessionID: ID of the session returned by the connector, if any
+     *   data: Details of the event, e.g. connectTime or timeToFirstFrame in milliseconds
+     *
+     * @param options {object}
+     * @param options.url {string} Endpoint the events are sent to
+     * @param [options.batchSize=20] {number} Number of queued events triggering a request
+     * @param [options.flushInterval=10000] {number} Time in milliseconds after which queued events are sent anyway
+     * @param [options.headers] {object} Additional headers sent with every request but beacons
+     */
+    constructor(options) {
+        if (this._nullOrUndef(options))
+            throw new AnboxStreamError('invalid options', AnboxErrorCode.INVALID_ARGUMENT);
+
+        this._fillDefaults(options);
+        this._validateOptions(options);
+        this._options = options;
+
+        this._queue = []
+        this._flushTimeout = null
+        this._onPageHide = () => this.flush({unloading: true})
+        this._onVisibilityChange = () => {
+            if (document.visibilityState === 'hidden')
+                this.flush({unloading: true})
+        }
+        window.addEventListener('pagehide', this._onPageHide)
+        document.addEventListener('visibilitychange', this._onVisibilityChange)
+    }
+
+    /**
+     * Queue an event
+     * @param event {object} Telemetry event
+     */
+    report(event) {
+        this._queue.push(event)
+        if (this._queue.length >= this._options.batchSize) {
+            this.flush()
+            return
+        }
+        if (this._flushTimeout === null)
+            this._flushTimeout = window.setTimeout(() => this.flush(), this._options.flushInterval)
+    }
+
+    /**
+     * Send the queued events
+     * @param [options] {object}
+     * @param [options.unloading=false] {boolean} Use navigator.sendBeacon as the page is going away
+     */
+    flush(options) {
+        window.clearTimeout(this._flushTimeout)
+        this._flushTimeout = null
+        if (this._queue.length === 0)
+            return
+
+        const body = JSON.stringify({events: this._queue})
+        this._queue = []
+
+        if (options?.unloading && typeof(navigator.sendBeacon) === "function" &&
+            navigator.sendBeacon(this._options.url, new Blob([body], {type: 'application/json'})))
+            return
+
+        fetch(this._options.url, {
+            method: 'POST',
+            headers: Object.assign({'Content-Type': 'application/json'}, this._options.headers),
+            body: body,
+            keepalive: true,
+        }).catch(e => console.error('AnboxStream: failed to send telemetry:', e))
+    }
+
+    /**
+     * Send the remaining events and stop listening to page visibility changes
+     */
+    close() {
+        this.flush()
+        window.removeEventListener('pagehide', this._onPageHide)
+        document.removeEventListener('visibilitychange', this._onVisibilityChange)
+    }
+
+    _fillDefaults(options) {
+        if (this._nullOrUndef(options.batchSize))
+            options.batchSize = 20;
+
+        if (this._nullOrUndef(options.flushInterval))
+            options.flushInterval = 10 * 1000;
+
+        if (this._nullOrUndef(options.headers))
+            options.headers = {};
+    }
+
+    _validateOptions(options) {
+        if (this._nullOrUndef(options.url) || options.url.length === 0)
+            throw new AnboxStreamError('missing telemetry url', AnboxErrorCode.INVALID_ARGUMENT);
+
+        if (!Number.isInteger(options.batchSize) || options.batchSize < 1)
+            throw new AnboxStreamError('telemetry batch size must be a positive integer', AnboxErrorCode.INVALID_ARGUMENT);
+
+        if (options.flushInterval <= 0)
+            throw new AnboxStreamError('telemetry flush interval must be positive', AnboxErrorCode.INVALID_ARGUMENT);
+    }
+
+    _nullOrUndef(obj) {
+        return obj === null || obj === undefined
+    }
+}
+
+class AnboxConsoleTelemetryReporter {
+    /**
+     * Telemetry reporter printing every event to the console. Meant for development.
+     */
+    report(event) {
+        console.info(`AnboxStream telemetry: ${event.type}`, event)
+    }
+
+    flush() {}
+
+    close() {}
+}
+
+class AnboxNoopTelemetryReporter {
+    /**
+     * Telemetry reporter discarding every event.
+     */
+    report() {}
+
+    flush() {}
+
+    close() {}
+}
+
+class _anboxHttpConnector {
     _nullOrUndef(obj) {
         return obj === null || obj === undefined
     }
 
+    /**
+     * Base of the connectors retrieving sessions over HTTP. It takes care of
+     * authentication, timeouts, retries and error reporting of the requests and
+     * of cleaning up the session it created on disconnect.
+     * See AnboxStreamGatewayConnector and AnboxStreamProxyConnector for the options.
+     * @param options {object}
+     */
+    constructor(options) {
+        if (this._nullOrUndef(options))
+            throw new AnboxStreamError("missing options", AnboxErrorCode.INVALID_ARGUMENT);
+
+        this._fillDefaults(options);
+        this._validateOptions(options);
+        this._options = options
+
+        // Session the connector is connected to and, if the connector created
+        // it, its ID so it can be cleaned up on disconnect
+        this._session = null
+        this._createdSessionID = null
+
+        // Token in use, fetched lazily through options.getAuthToken if given
+        this._authToken = options.authToken || null
+        this._refreshAuthToken = false
+    }
+
+    async connect() {
+        let session;
+        if (this._nullOrUndef(this._options.session.id)) {
+            session = await this._createSession();
+            this._createdSessionID = session.id;
+        } else {
+            session = await this._joinSession(this._options.session.id);
+        }
+        this._session = this._validateSession(session);
+        return this._session;
+    }
+
+    /**
+     * Join the session again after the connection to it was lost. This provides
+     * a new signaling endpoint for the SDK to reestablish the WebRTC connection.
+     * @returns {Promise<object|null>} The joined session or null if the connector can't join sessions
+     */
+    async reconnect() {
+        if (!this._canJoinSessions())
+            return null;
+        if (this._nullOrUndef(this._session))
+            throw new AnboxGatewayError("no session to reconnect to", AnboxErrorCode.SESSION_GONE);
+        this._session = this._validateSession(await this._joinSession(this._session.id));
+        return this._session;
+    }
+
+    /**
+     * Delete the session created by the connector unless options.session.deleteOnDisconnect
+     * is disabled. Failures are logged as the stream is gone anyway.
+     */
+    async disconnect() {
+        const id = this._createdSessionID;
+        this._session = null;
+        if (!this._options.session.deleteOnDisconnect || !this._canDeleteSessions() || this._nullOrUndef(id))
+            return;
+
+        try {
+            await this.deleteSession(id);
+        } catch (e) {
+            // The session may already have been removed
+            if (e.code !== AnboxErrorCode.SESSION_GONE)
+                console.error(`${this.constructor.name}: failed to delete session ${id}: ${e.message}`);
+        }
+        this._createdSessionID = null;
+    }
+
+    _fillDefaults(options) {
+        if (this._nullOrUndef(options.authType))
+            options.authType = "macaroon";
+
+        if (this._nullOrUndef(options.session))
+            options.session = {};
+
+        if (this._nullOrUndef(options.session.deleteOnDisconnect))
+            options.session.deleteOnDisconnect = true;
+
+        if (this._nullOrUndef(options.request))
+            options.request = {};
+
+        if (this._nullOrUndef(options.request.timeout))
+            options.request.timeout = 10 * 1000;
+
+        if (this._nullOrUndef(options.request.retries))
+            options.request.retries = 3;
+
+        if (this._nullOrUndef(options.request.retryDelay))
+            options.request.retryDelay = 500;
+
+        if (this._nullOrUndef(options.request.retryCreate))
+            options.request.retryCreate = false;
+
+        if (this._nullOrUndef(options.request.maxRetryDelay))
+            options.request.maxRetryDelay = 8 * 1000;
+    }
+
+    _validateOptions(options) {
+        if (this._nullOrUndef(options.url))
+            throw new AnboxStreamError('missing url parameter', AnboxErrorCode.INVALID_ARGUMENT);
+
+        if (!options.url.includes('https') && !options.url.includes('http'))
+            throw new AnboxStreamError('unsupported scheme', AnboxErrorCode.INVALID_ARGUMENT);
+        else if (options.url.endsWith('/'))
+            options.url = options.url.slice(0, -1);
+
+        if (options.authType !== "macaroon" && options.authType !== "bearer")
+            throw new AnboxStreamError('invalid auth type, can only be "macaroon" or "bearer"', AnboxErrorCode.INVALID_ARGUMENT);
+
+        if (!this._nullOrUndef(options.getAuthToken) && typeof(options.getAuthToken) !== "function")
+            throw new AnboxStreamError('getAuthToken must be a function', AnboxErrorCode.INVALID_ARGUMENT);
+
+        if (!this._nullOrUndef(options.headers) &&
+            typeof(options.headers) !== "object" &&
+            typeof(options.headers) !== "function")
+            throw new AnboxStreamError('headers must be an object or a function', AnboxErrorCode.INVALID_ARGUMENT);
+
+        if (!Number.isFinite(options.request.timeout) || options.request.timeout <= 0)
+            throw new AnboxStreamError('request timeout must be positive', AnboxErrorCode.INVALID_ARGUMENT);
+
+        if (!Number.isInteger(options.request.retries) || options.request.retries < 0)
+            throw new AnboxStreamError('invalid number of request retries', AnboxErrorCode.INVALID_ARGUMENT);
+
+        if (!Number.isFinite(options.request.retryDelay) || options.request.retryDelay < 0)
+            throw new AnboxStreamError('request retry delay must not be negative', AnboxErrorCode.INVALID_ARGUMENT);
+
+        if (!Number.isFinite(options.request.maxRetryDelay) || options.request.maxRetryDelay < 0)
+            throw new AnboxStreamError('maximum request retry delay must not be negative', AnboxErrorCode.INVALID_ARGUMENT);
+    }
+
+    _canJoinSessions() {
+        return true;
+    }
+
+    _canDeleteSessions() {
+        return true;
+    }
+
+    _validateSession(session) {
+        if (this._nullOrUndef(session) ||
+            typeof(session.websocket) !== "string" ||
+            session.websocket.length === 0)
+            throw new AnboxGatewayError("received session without signaling information", AnboxErrorCode.INVALID_SESSION);
+
+        if (this._nullOrUndef(session.stunServers))
+            session.stunServers = [];
+
+        // The SDK selects the key map profile of the application of the session.
+        // Joined sessions don't always report it, keep the one we know of then.
+        if (this._nullOrUndef(session.app))
+            session.app = this._session?.app ?? this._options.session.app ?? null;
+        return session;
+    }
+
+    /**
+     * Send a request and return its parsed JSON body
+     * @param method {string} HTTP method
+     * @param path {string} Path of the endpoint, starting with a slash
+     * @param [options] {object}
+     * @param [options.body] {object} Payload to send as JSON
+     * @param [options.errorMessage] {string} Message of the error thrown if the request fails
+     * @param [options.idempotent] {boolean} Whether the request can safely be sent again after a failure.
+     *        Defaults to true for GET, HEAD, PUT and DELETE requests
+     * @returns {Promise<object|null>} Body of the response or null if it has none
+     * @private
+     */
+    async _send(method, path, options) {
+        const init = {
+            method: method,
+        };
+        if (!this._nullOrUndef(options?.body))
+            init.body = JSON.stringify(options.body);
+
+        const errorMessage = options?.errorMessage || `${method} ${path} failed`;
+        // A request which timed out may still have been processed, sending it again
+        // could for instance create a second session
+        const idempotent = options?.idempotent ?? ['GET', 'HEAD', 'PUT', 'DELETE'].includes(method);
+        const retries = idempotent ? this._options.request.retries : 0;
+        let attempt = 0;
+        let tokenRefreshed = false;
+        let rawResp;
+        for (;;) {
+            let error = null;
+            rawResp = undefined;
+            try {
+                init.headers = await this._buildHeaders();
+                rawResp = await this._fetch(this._options.url + path, init);
+                if (rawResp === undefined || !rawResp.ok)
+                    error = this._errorFromResponse(rawResp, errorMessage);
+            } catch (e) {
+                error = e;
+            }
+
+            if (error === null)
+                break;
+
+            // An expired token is refreshed once. This doesn't count as a retry.
+            if (error.status === 401 && !tokenRefreshed && typeof(this._options.getAuthToken) === "function") {
+                tokenRefreshed = true;
+                this._authToken = null;
+                this._refreshAuthToken = true;
+                continue;
+            }
+
+            const delay = this._retryDelay(attempt, rawResp);
+            if (attempt >= retries || !error.recoverable || delay < 0)
+                throw error;
+
+            attempt++;
+            await new Promise(resolve => window.setTimeout(resolve, delay));
+        }
+
+        try {
+            return rawResp.body.length > 0 ? JSON.parse(rawResp.body) : null;
+        } catch (e) {
+            throw new AnboxGatewayError(`${errorMessage}: invalid response`, AnboxErrorCode.GATEWAY_ERROR,
+                {status: rawResp.status, cause: e});
+        }
+    }
+
+    async _buildHeaders() {
+        const headers = {
+            'Accept': 'application/json, text/plain, */*',
+            'Content-Type': 'application/json',
+        };
+
+        // Connectors talking to a backend of the same origin may rely on cookies instead
+        if (!this._nullOrUndef(this._options.authToken) || typeof(this._options.getAuthToken) === "function") {
+            const token = await this._getAuthToken();
+            headers['Authorization'] = (this._options.authType === "bearer" ? 'Bearer ' : 'Macaroon root=') + token;
+        }
+
+        let extraHeaders = this._options.headers;
+        if (typeof(extraHeaders) === "function")
+            extraHeaders = await extraHeaders();
+        return Object.assign(headers, extraHeaders);
+    }
+
+    /**
+     * Return the token to authenticate with, asking options.getAuthToken for a
+     * new one if we don't have any (anymore)
+     * @private
+     */
+    async _getAuthToken() {
+        if (!this._nullOrUndef(this._authToken))
+            return this._authToken;
+
+        let token;
+        try {
+            // When the gateway rejected the previous token the provider must not
+            // return a cached one
+            token = await this._options.getAuthToken({refresh: this._refreshAuthToken});
+        } catch (e) {
+            throw new AnboxGatewayError(`failed to retrieve authentication token: ${e.message}`,
+                AnboxErrorCode.GATEWAY_AUTH, {cause: e});
+        }
+        if (this._nullOrUndef(token) || token.length === 0)
+            throw new AnboxGatewayError("no authentication token available", AnboxErrorCode.GATEWAY_AUTH);
+
+        this._refreshAuthToken = false;
+        this._authToken = token;
+        return token;
+    }
+
+    /**
+     * Run a fetch and read the body of its response, which is aborted after options.request.timeout
+     * @returns {Promise<object>} {ok, status, headers, body}, body being the text of the response
+     * @private
+     */
+    async _fetch(url, init) {
+        const controller = new AbortController();
+        const timer = window.setTimeout(() => controller.abort(), this._options.request.timeout);
+        try {
+            const response = await fetch(url, Object.assign({signal: controller.signal}, init));
+            // The server may stall after sending the headers, the timeout covers the body too
+            const body = await response.text();
+            return {ok: response.ok, status: response.status, headers: response.headers, body: body};
+        } catch (e) {
+            if (e.name === 'AbortError')
+                throw new AnboxGatewayError(`server did not respond within ${this._options.request.timeout}ms`,
+                    AnboxErrorCode.GATEWAY_TIMEOUT, {recoverable: true, cause: e});
+
+            // Besides aborts, fetch only rejects on network failures
+            throw new AnboxGatewayError(`failed to reach the server: ${e.message}`,
+                AnboxErrorCode.GATEWAY_UNREACHABLE, {recoverable: true, cause: e});
+        } finally {
+            window.clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Compute how long to wait before retrying a request. Rate limited and unavailable
+     * gateways can tell through the Retry-After header how long they need.
+     * @returns {number} Delay in milliseconds or -1 if the gateway asks to wait longer than
+     *          options.request.maxRetryDelay
+     * @private
+     */
+    _retryDelay(attempt, rawResp) {
+        const opts = this._options.request;
+        const delay = Math.min(opts.retryDelay * Math.pow(2, attempt), opts.maxRetryDelay);
+
+        const retryAfter = rawResp?.headers?.get('Retry-After');
+        if (this._nullOrUndef(retryAfter))
+            return delay;
+
+        // Either a number of seconds or an HTTP date
+        let retryAfterMs = Number(retryAfter) * 1000;
+        if (isNaN(retryAfterMs))
+            retryAfterMs = Date.parse(retryAfter) - Date.now();
+        if (isNaN(retryAfterMs))
+            return delay;
+        if (retryAfterMs > opts.maxRetryDelay)
+            return -1;
+        return Math.max(delay, retryAfterMs);
+    }
+
+    /**
+     * Build an error out of a failed response, including the error message
+     * reported by the gateway if there is one
+     * @private
+     */
+    _errorFromResponse(rawResp, message) {
+        const status = rawResp?.status;
+
+        const body = rawResp?.body ?? '';
+        let gatewayMessage;
+        try {
+            const parsed = JSON.parse(body);
+            gatewayMessage = parsed.error || parsed.error_msg || parsed.message;
+        } catch (e) {
+            gatewayMessage = body;
+        }
+        if (gatewayMessage !== undefined && gatewayMessage.length === 0)
+            gatewayMessage = undefined;
+
+        const options = {
+            status: status,
+            gatewayMessage: gatewayMessage,
+            // Rate limited requests and server side failures are worth retrying
+            recoverable: status === 429 || status >= 500,
+        };
+        if (gatewayMessage)
+            message = `${message}: ${gatewayMessage}`;
+
+        switch (status) {
+            case 401:
+            case 403:
+                return new AnboxGatewayError(`Not authorized to access the server (${message})`,
+                    AnboxErrorCode.GATEWAY_AUTH, options);
+            case 404:
+                return new AnboxGatewayError(message, AnboxErrorCode.SESSION_GONE, options);
+            default:
+                return new AnboxGatewayError(message, AnboxErrorCode.GATEWAY_ERROR, options);
+        }
+    }
+}
+
+class AnboxStreamGatewayConnector extends _anboxHttpConnector {
     /**
      * Connector for the Anbox Stream Gateway. If no connector is specified for
      * the SDK, this connector will be used by default.
      * @param options {object}
      * @param options.url {string} URL to the Stream Gateway. Must use http or https scheme
-     * @param options.authToken {string} Authentication token for the Stream Gateway
+     * @param [options.authToken] {string} Authentication token for the Stream Gateway. Required
+     *        unless options.getAuthToken is given
+     * @param [options.getAuthToken] {function} Function returning (a promise of) the token to
+     *        authenticate with. Use it to fetch short-lived tokens from your own backend rather
+     *        than shipping a long-lived token to the browser. The token is requested again with
+     *        {refresh: true} as parameter when the gateway rejects it, and the request is retried once.
+     * @param [options.authType="macaroon"] {string} How the token is sent: "macaroon" for the
+     *        "Macaroon root=<token>" scheme of the gateway or "bearer" for "Bearer <token>"
+     * @param [options.headers] {object|function} Additional headers sent with every request, or a
+     *        function returning (a promise of) them
      * @param options.session {object} Details about the session to create
      * @param [options.session.region=""] {string} Where the session will be created. If
      *        empty, the gateway will try to determine the best region based on user IP
@@ -2414,37 +6772,141 @@ class AnboxStreamGatewayConnector {
      *        disconnected.
      * @param [options.session.idle_time_min] {number} Idle time of the container in
      *        minutes. If set to zero, the session will be kept active until terminated.
+     * @param [options.session.deleteOnDisconnect=true] {boolean} Delete the session created by the
+     *        connector when disconnecting. Sessions which were joined through options.session.id
+     *        are never deleted.
      * @param options.screen {object} Display settings for the Android instance to create
      * @param [options.screen.width=1280] {number} Screen width in pixel
      * @param [options.screen.height=720] {number} Screen height in pixel
      * @param [options.screen.fps=60] {number} Desired number of frames per second
      * @param [options.screen.density=240] {number} Pixel density
      * @param options.extraData {string} Json format extra data for a session creation. (optional)
+     * @param [options.request] {object} Settings applied to every request sent to the gateway
+     * @param [options.request.timeout=10000] {number} Time in milliseconds after which a request is aborted, reading its response included
+     * @param [options.request.retries=3] {number} Number of times a request is retried on network errors,
+     *        timeouts, rate limiting (429) and server errors (5xx). Only requests which can safely be sent
+     *        twice are retried: retrieving, joining and deleting sessions
+     * @param [options.request.retryCreate=false] {boolean} Retry session creation requests as well. A creation
+     *        request which timed out may have succeeded, retrying it can then leave an unused session behind
+     * @param [options.request.retryDelay=500] {number} Delay in milliseconds before the first retry. It
+     *        doubles with every further retry
+     * @param [options.request.maxRetryDelay=8000] {number} Upper bound in milliseconds of the delay between
+     *        two retries. Requests are not retried if the gateway asks through Retry-After to wait longer
      */
     constructor(options) {
-        if (this._nullOrUndef(options))
-            throw Error("missing options");
+        super(options);
+    }
 
-        if (this._nullOrUndef(options.url))
-            throw new Error('missing url parameter');
+    /**
+     * Retrieve details about a session from the Stream Gateway
+     * @param [id] {string} ID of the session. Defaults to the session the connector is connected to
+     * @returns {Promise<object>} Session as described by the gateway (id, app, status, region, ...)
+     * @throws {AnboxGatewayError} The session does not exist (SESSION_GONE) or the request failed
+     */
+    async getSession(id) {
+        if (this._nullOrUndef(id))
+            id = this._session?.id;
+        if (this._nullOrUndef(id))
+            throw new AnboxGatewayError("no session given", AnboxErrorCode.SESSION_GONE);
+
+        return await this._request('GET', '/1.0/sessions/' + id, {
+            errorMessage: "Failed to retrieve session"
+        });
+    }
 
-        if (!options.url.includes('https') && !options.url.includes('http'))
-            throw new Error('unsupported scheme');
-        else if (options.url.endsWith('/'))
-            options.url = options.url.slice(0, -1);
+    /**
+     * List the sessions visible to the authentication token of the connector
+     * @returns {Promise<object[]>} Sessions as described by the gateway
+     * @throws {AnboxGatewayError} The request failed
+     */
+    async listSessions() {
+        const sessions = await this._request('GET', '/1.0/sessions/', {
+            errorMessage: "Failed to list sessions"
+        });
+        return sessions || [];
+    }
+
+    /**
+     * Delete a session, terminating its Android instance
+     * @param id {string} ID of the session to delete
+     * @throws {AnboxGatewayError} The session does not exist (SESSION_GONE) or the request failed
+     */
+    async deleteSession(id) {
+        if (this._nullOrUndef(id) || id.length === 0)
+            throw new AnboxStreamError("missing session id", AnboxErrorCode.INVALID_ARGUMENT);
 
-        if (this._nullOrUndef(options.authToken))
-            throw new Error('missing authToken parameter');
+        await this._request('DELETE', '/1.0/sessions/' + id, {
+            errorMessage: "Failed to delete session"
+        });
 
-        if (this._nullOrUndef(options.session))
-            options.session = {};
+        if (this._createdSessionID === id)
+            this._createdSessionID = null;
+        if (this._session?.id === id)
+            this._session = null;
+    }
+
+    async _createSession() {
+        try {
+            var extra_data_obj = JSON.parse(this._options.extraData)
+        } catch (e) {
+            throw new AnboxStreamError(`invalid json format extra data was given: ${e.name}`,
+                AnboxErrorCode.INVALID_ARGUMENT, {cause: e});
+        }
+
+        const appInfo = {
+            app: this._options.session.app,
+            region: this._options.session.region,
+            joinable: this._options.session.joinable,
+            screen: {
+                width: this._options.screen.width,
+                height: this._options.screen.height,
+                fps: this._options.screen.fps,
+                density: this._options.screen.density,
+            },
+            extra_data: extra_data_obj
+        };
+
+        if (!this._nullOrUndef(this._options.session.idle_time_min))
+            appInfo['idle_time_min'] = this._options.session.idle_time_min;
+
+        if (!this._nullOrUndef(this._options.session.app_version) &&
+            this._options.session.app_version.length !== 0)
+            appInfo['app_version'] = this._options.session.app_version
+
+        const metadata = await this._request('POST', '/1.0/sessions/', {
+            body: appInfo,
+            idempotent: this._options.request.retryCreate,
+            errorMessage: "Failed to create session"
+        });
+
+        return {
+            id: metadata.id,
+            app: metadata.app,
+            websocket: metadata.url,
+            stunServers: metadata.stun_servers
+        };
+    }
+
+    async _joinSession(sessionID) {
+        const metadata = await this._request('POST', '/1.0/sessions/' + sessionID + '/join', {
+            idempotent: true,
+            errorMessage: "Session does not exist anymore"
+        });
+
+        return {
+            id: sessionID,
+            app: metadata.app,
+            websocket: metadata.url,
+            stunServers: metadata.stun_servers
+        };
+    }
+
+    _fillDefaults(options) {
+        super._fillDefaults(options);
 
         if (this._nullOrUndef(options.session.region))
             options.session.region = "";
 
-        if (this._nullOrUndef(options.session.id) && this._nullOrUndef(options.session.app))
-            throw new Error("session.app or session.id required");
-
         if (this._nullOrUndef(options.session.joinable))
             options.session.joinable = false;
 
@@ -2466,95 +6928,197 @@ class AnboxStreamGatewayConnector {
 
         if (this._nullOrUndef(options.extraData) || options.extraData.length === 0)
             options.extraData = "null";
+    }
 
-        this._options = options
+    _validateOptions(options) {
+        super._validateOptions(options);
+
+        if (this._nullOrUndef(options.authToken) && typeof(options.getAuthToken) !== "function")
+            throw new AnboxStreamError('missing authToken or getAuthToken parameter', AnboxErrorCode.INVALID_ARGUMENT);
+
+        if (this._nullOrUndef(options.session.id) && this._nullOrUndef(options.session.app))
+            throw new AnboxStreamError("session.app or session.id required", AnboxErrorCode.INVALID_ARGUMENT);
     }
 
-    async connect() {
-        if (this._nullOrUndef(this._options.session.id)) {
-            return await this._createSession();
-        } else {
-            return await this._joinSession();
-        }
+    /**
+     * Send a request to the gateway API and return the metadata of its response
+     * @param method {string} HTTP method
+     * @param path {string} Path of the API endpoint, starting with a slash
+     * @param [options] {object} See _send()
+     * @private
+     */
+    async _request(method, path, options) {
+        const errorMessage = options?.errorMessage || `${method} ${path} failed`;
+        const response = await this._send(method, path, options);
+        if (this._nullOrUndef(response) || response.status !== "success")
+            throw new AnboxGatewayError(`${errorMessage}: ${response?.error}`, AnboxErrorCode.GATEWAY_ERROR,
+                {gatewayMessage: response?.error});
+
+        return response.metadata;
+    }
+}
+
+class AnboxStreamProxyConnector extends _anboxHttpConnector {
+    /**
+     * Connector for a backend service which manages sessions on behalf of the client,
+     * like the /1.0/sessions/ route of the cloud gaming demo. The backend holds the
+     * credentials of the Stream Gateway so none have to be shipped to the browser.
+     * @param options {object}
+     * @param [options.url] {string} URL of the backend. Must use http or https scheme. Defaults
+     *        to the base URL of the current document.
+     * @param [options.authToken] {string} Token to authenticate against the backend, if it needs one
+     * @param [options.getAuthToken] {function} Function returning (a promise of) the token to
+     *        authenticate with, see AnboxStreamGatewayConnector
+     * @param [options.authType="macaroon"] {string} How the token is sent: "macaroon" or "bearer"
+     * @param [options.headers] {object|function} Additional headers sent with every request, or a
+     *        function returning (a promise of) them
+     * @param options.session {object} Details about the session, handed to options.buildPayload
+     * @param [options.session.app] {string} Application name to run
+     * @param [options.session.id] {string} If specified, join the session rather than creating a
+     *        new one. Requires options.paths.join
+     * @param [options.session.deleteOnDisconnect=true] {boolean} Delete the session created by the
+     *        connector when disconnecting. Requires options.paths.delete
+     * @param [options.paths] {object} Paths of the backend endpoints. ":id" is replaced by the session ID
+     * @param [options.paths.create="/1.0/sessions/"] {string} Endpoint creating a session (POST)
+     * @param [options.paths.join] {string} Endpoint joining an existing session (POST). If not
+     *        given, sessions can't be joined and reconnecting reuses the initial session
+     * @param [options.paths.delete] {string} Endpoint deleting a session (DELETE). If not given,
+     *        sessions are left to the backend to clean up
+     * @param [options.buildPayload] {function} Build the body of the creation request out of
+     *        options.session. Defaults to {game: session.app} as expected by the demo backend
+     * @param [options.mapResponse] {function} Convert the body of a creation or join response into
+     *        {id, websocket, stunServers, app}. Defaults to reading the "id", "url", "stun_servers" and
+     *        "app" fields of the session metadata returned by the gateway. When app is missing, the
+     *        one of options.session is used
+     * @param [options.request] {object} Settings applied to every request, see AnboxStreamGatewayConnector
+     */
+    constructor(options) {
+        super(options);
+    }
+
+    /**
+     * Delete a session through the backend, terminating its Android instance
+     * @param id {string} ID of the session to delete
+     * @throws {AnboxGatewayError} The session does not exist (SESSION_GONE) or the request failed
+     */
+    async deleteSession(id) {
+        if (!this._canDeleteSessions())
+            throw new AnboxStreamError("no path configured to delete sessions", AnboxErrorCode.INVALID_ARGUMENT);
+        if (this._nullOrUndef(id) || id.length === 0)
+            throw new AnboxStreamError("missing session id", AnboxErrorCode.INVALID_ARGUMENT);
+
+        await this._send('DELETE', this._path(this._options.paths.delete, id), {
+            errorMessage: "Failed to delete session"
+        });
+
+        if (this._createdSessionID === id)
+            this._createdSessionID = null;
+        if (this._session?.id === id)
+            this._session = null;
     }
 
     async _createSession() {
-        try {
-            var extra_data_obj = JSON.parse(this._options.extraData)
-        } catch (e) {
-            throw new Error(`invalid json format extra data was given: ${e.name}`);
+        const payload = this._options.buildPayload(this._options.session);
+        const response = await this._send('POST', this._path(this._options.paths.create), {
+            body: payload,
+            idempotent: this._options.request.retryCreate,
+            errorMessage: "Failed to create session"
+        });
+        return this._options.mapResponse(response);
+    }
+
+    async _joinSession(sessionID) {
+        const response = await this._send('POST', this._path(this._options.paths.join, sessionID), {
+            idempotent: true,
+            errorMessage: "Session does not exist anymore"
+        });
+
+        const session = this._options.mapResponse(response);
+        if (this._nullOrUndef(session.id))
+            session.id = sessionID;
+        return session;
+    }
+
+    _fillDefaults(options) {
+        if (this._nullOrUndef(options.url)) {
+            // Resolve against the document so deployments below a path prefix work
+            options.url = new URL('.', document.baseURI).href;
         }
 
-        const appInfo = {
-            app: this._options.session.app,
-            region: this._options.session.region,
-            joinable: this._options.session.joinable,
-            screen: {
-                width: this._options.screen.width,
-                height: this._options.screen.height,
-                fps: this._options.screen.fps,
-                density: this._options.screen.density,
-            },
-            extra_data: extra_data_obj
-        };
+        super._fillDefaults(options);
 
-        if (!this._nullOrUndef(this._options.session.idle_time_min))
-            appInfo['idle_time_min'] = this._options.session.idle_time_min;
+        if (this._nullOrUndef(options.paths))
+            options.paths = {};
 
-        if (!this._nullOrUndef(this._options.session.app_version) &&
-            this._options.session.app_version.length !== 0)
-            appInfo['app_version'] = this._options.session.app_version
+        if (this._nullOrUndef(options.paths.create))
+            options.paths.create = "/1.0/sessions/";
 
-        const rawResp = await fetch(this._options.url + '/1.0/sessions/', {
-            method: 'POST',
-            headers: {
-                'Accept': 'application/json, text/plain, */*',
-                'Authorization': 'Macaroon root=' + this._options.authToken,
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify(appInfo),
-        });
-        if (rawResp === undefined || rawResp.status !== 201)
-            throw new Error("Failed to create session");
+        if (this._nullOrUndef(options.paths.join))
+            options.paths.join = null;
 
-        const response = await rawResp.json();
-        if (response === undefined || response.status !== "success")
-            throw new Error(response.error);
+        if (this._nullOrUndef(options.paths.delete))
+            options.paths.delete = null;
 
-        return {
-            id: response.metadata.id,
-            websocket: response.metadata.url,
-            stunServers: response.metadata.stun_servers
-        };
+        if (this._nullOrUndef(options.buildPayload))
+            options.buildPayload = (session) => ({game: session.app});
+
+        if (this._nullOrUndef(options.mapResponse)) {
+            options.mapResponse = (metadata) => ({
+                id: metadata?.id,
+                app: metadata?.app,
+                websocket: metadata?.url,
+                stunServers: metadata?.stun_servers
+            });
+        }
     }
 
-    async _joinSession() {
-        const rawJoinResp = await fetch(
-            this._options.url + '/1.0/sessions/' + this._options.session.id + '/join', {
-                method: 'POST',
-                headers: {
-                    'Accept': 'application/json, text/plain, */*',
-                    'Authorization': 'Macaroon root=' + this._options.authToken,
-                    'Content-Type': 'application/json',
-                }
-            })
-        if (rawJoinResp === undefined || rawJoinResp.status !== 200)
-            throw new Error("Session does not exist anymore");
+    _validateOptions(options) {
+        super._validateOptions(options);
 
-        let response = await rawJoinResp.json();
-        if (response === undefined || response.status !== "success")
-            throw new Error(response.error);
+        if (typeof(options.buildPayload) !== "function")
+            throw new AnboxStreamError('buildPayload must be a function', AnboxErrorCode.INVALID_ARGUMENT);
 
-        return {
-            id: this._options.session.id,
-            websocket: response.metadata.url,
-            stunServers: response.metadata.stun_servers
-        };
+        if (typeof(options.mapResponse) !== "function")
+            throw new AnboxStreamError('mapResponse must be a function', AnboxErrorCode.INVALID_ARGUMENT);
+
+        for (const name of ['create', 'join', 'delete']) {
+            const path = options.paths[name];
+            if (path !== null && (typeof(path) !== "string" || !path.startsWith('/')))
+                throw new AnboxStreamError(`paths.${name} must start with a slash`, AnboxErrorCode.INVALID_ARGUMENT);
+        }
+
+        if (!this._nullOrUndef(options.session.id) && options.paths.join === null)
+            throw new AnboxStreamError("joining a session requires paths.join", AnboxErrorCode.INVALID_ARGUMENT);
+
+        if (this._nullOrUndef(options.session.id) && this._nullOrUndef(options.session.app))
+            throw new AnboxStreamError("session.app or session.id required", AnboxErrorCode.INVALID_ARGUMENT);
+    }
+
+    _canJoinSessions() {
+        return this._options.paths.join !== null;
     }
 
-    // no-op
-    disconnect() {}
+    _canDeleteSessions() {
+        return this._options.paths.delete !== null;
+    }
+
+    _path(template, id) {
+        if (this._nullOrUndef(id))
+            return template;
+        return template.replace(':id', encodeURIComponent(id));
+    }
 }
 
+window.AnboxErrorCode = AnboxErrorCode;
+window.AnboxStreamError = AnboxStreamError;
+window.AnboxSignalingError = AnboxSignalingError;
+window.AnboxConnectionError = AnboxConnectionError;
+window.AnboxGatewayError = AnboxGatewayError;
+window.AnboxDeviceError = AnboxDeviceError;
+window.AnboxWebSocketSignaler = AnboxWebSocketSignaler;
+window.AnboxHttpTelemetryReporter = AnboxHttpTelemetryReporter;
+window.AnboxConsoleTelemetryReporter = AnboxConsoleTelemetryReporter;
+window.AnboxNoopTelemetryReporter = AnboxNoopTelemetryReporter;
 window.AnboxStreamGatewayConnector = AnboxStreamGatewayConnector;
+window.AnboxStreamProxyConnector = AnboxStreamProxyConnector;
 window.AnboxStream = AnboxStream;
@@ -0,0 +1,118 @@
+/*
+ * This file is part of Anbox Cloud Streaming SDK
+ *
+ * Copyright 2021 Canonical Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+// Run with: node --test ui/web/test/
+
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const codec = require('../anbox-input-codec.js')
+
+// Floats are chosen to be exactly representable as float32
+const events = [
+    {type: 'key', data: {code: 30, pressed: true}, size: 4},
+    {type: 'key', data: {code: 231, pressed: false}, size: 4},
+    {type: 'mouse-move', data: {x: 640.5, y: 360.25, rx: -12, ry: 7}, size: 17},
+    {type: 'mouse-move', data: {rx: -300, ry: 2147483647}, size: 9},
+    {type: 'mouse-button', data: {button: 2, pressed: true}, size: 3},
+    {type: 'mouse-wheel', data: {x: -1, y: 1}, size: 3},
+    {type: 'touch-start', data: {id: 0, x: 10.5, y: 20}, size: 11},
+    {type: 'touch-move', data: {id: 9, x: 1279.75, y: 0}, size: 11},
+    {type: 'touch-end', data: {id: -1}, size: 3},
+    {type: 'gamepad-button', data: {id: 1, index: 15, pressed: false}, size: 4},
+    {type: 'gamepad-axes', data: {id: 3, index: 1, value: -0.5}, size: 7},
+]
+
+test('every message type round-trips', () => {
+    const ids = new Set()
+    for (const {type, data, size} of events) {
+        const buffer = codec.encode(type, data)
+        assert.ok(buffer instanceof ArrayBuffer, type)
+        assert.equal(buffer.byteLength, size, type)
+        assert.deepEqual(codec.decode(buffer), {type: type, data: data})
+        ids.add(new DataView(buffer).getUint8(0))
+    }
+
+    const layouts = Object.values(codec._messages).flat()
+    assert.equal(ids.size, layouts.length, 'every layout is covered')
+})
+
+test('mouse moves use the layout matching their fields', () => {
+    const absolute = codec.encode('mouse-move', {x: 1, y: 2, rx: 3, ry: 4})
+    const relative = codec.encode('mouse-move', {rx: 3, ry: 4})
+    assert.equal(new DataView(absolute).getUint8(0), 2)
+    assert.equal(new DataView(relative).getUint8(0), 10)
+    assert.deepEqual(codec.decode(relative), {type: 'mouse-move', data: {rx: 3, ry: 4}})
+})
+
+test('batches round-trip', () => {
+    const batch = {events: events.map(({type, data}) => ({type: type, data: data}))}
+    const buffer = codec.encode('batch', batch)
+    const size = events.reduce((size, event) => size + event.size, 3)
+    assert.equal(buffer.byteLength, size)
+    assert.equal(new DataView(buffer).getUint8(0), codec._batchID)
+    assert.deepEqual(codec.decode(buffer), {type: 'batch', data: batch})
+
+    const empty = codec.encode('batch', {events: []})
+    assert.equal(empty.byteLength, 3)
+    assert.deepEqual(codec.decode(empty), {type: 'batch', data: {events: []}})
+})
+
+test('events which do not fit a layout are left to JSON', () => {
+    const unsupported = [
+        ['ime-composing', {text: 'a'}],
+        ['key', {code: 0x10000, pressed: true}],
+        ['key', {code: 1.5, pressed: true}],
+        ['key', {code: 30, pressed: 1}],
+        ['key', {code: 30, pressed: true, repeat: true}],
+        ['key', {code: 30}],
+        ['key', null],
+        ['mouse-move', {x: 1, y: 2}],
+        ['mouse-move', {x: NaN, y: 2, rx: 0, ry: 0}],
+        ['mouse-wheel', {x: 200, y: 0}],
+        ['touch-end', {id: 0x8000}],
+        ['gamepad-axes', {id: 0, index: 0, value: Infinity}],
+        ['gamepad-button', {id: -1, index: 0, pressed: true}],
+    ]
+    for (const [type, data] of unsupported)
+        assert.equal(codec.encode(type, data), null, `${type} ${JSON.stringify(data)}`)
+
+    // A single unsupported event sends the whole batch as JSON
+    const batch = {events: [
+        {type: 'key', data: {code: 30, pressed: true}},
+        {type: 'ime-composing', data: {text: 'a'}},
+    ]}
+    assert.equal(codec.encode('batch', batch), null)
+
+    const tooLarge = {events: new Array(0x10000).fill({type: 'touch-end', data: {id: 0}})}
+    assert.equal(codec.encode('batch', tooLarge), null)
+})
+
+test('malformed messages are rejected', () => {
+    const bytes = (...values) => new Uint8Array(values).buffer
+    const key = new Uint8Array(codec.encode('key', {code: 30, pressed: true}))
+    const batch = new Uint8Array(codec.encode('batch', {events: [{type: 'touch-end', data: {id: 0}}]}))
+
+    assert.throws(() => codec.decode(bytes()), /empty/)
+    assert.throws(() => codec.decode(bytes(42)), /unknown binary input message 42/)
+    assert.throws(() => codec.decode(bytes(...key, 0)), /trailing bytes/)
+    assert.throws(() => codec.decode(bytes(...key.slice(0, 3))), /truncated/)
+    assert.throws(() => codec.decode(bytes(...batch, 0)), /trailing bytes/)
+    assert.throws(() => codec.decode(bytes(...batch, ...key)), /trailing bytes/)
+    assert.throws(() => codec.decode(bytes(codec._batchID, 1)), /truncated/)
+    assert.throws(() => codec.decode(bytes(codec._batchID, 2, 0, ...batch.slice(3))), /truncated/)
+    assert.throws(() => codec.decode(bytes(codec._batchID, 1, 0, ...batch)), /unknown binary input message/)
+})
@@ -0,0 +1,82 @@
+/*
+ * This file is part of Anbox Cloud Streaming SDK
+ *
+ * Copyright 2021 Canonical Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+// Run with: node --test ui/web/test/
+
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('node:fs')
+const path = require('node:path')
+const vm = require('node:vm')
+
+// Load the scripts like a page including them, classes end up on window
+function load(...files) {
+    const context = vm.createContext({
+        console: console,
+        performance: performance,
+        setTimeout: setTimeout,
+        clearTimeout: clearTimeout,
+        setInterval: setInterval,
+        clearInterval: clearInterval,
+    })
+    context.window = context
+    for (const file of files)
+        vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), context, {filename: file})
+    return context
+}
+
+function fakeChannel() {
+    return {readyState: 'open', sent: [], send(data) { this.sent.push(data) }}
+}
+
+test('input is sent as JSON without the binary codec loaded', () => {
+    const window = load('anbox-stream-sdk.js')
+    assert.equal(vm.runInContext('typeof(_binaryInputCodec)', window), 'undefined')
+
+    const manager = vm.runInContext('new AnboxWebRTCManager({})', window)
+    const channel = fakeChannel()
+    assert.equal(manager._sendInput(channel, 'key', {code: 30, pressed: true}), true)
+    assert.deepEqual(channel.sent, ['{"type":"input::key","data":{"code":30,"pressed":true}}'])
+
+    // Anbox picking a codec which was not offered does not switch away from JSON
+    manager._onInputCodecSelected({codec: 'binary'})
+    manager._onInputCodecSelected({codec: 'json'})
+    assert.equal(manager._inputCodec, 'json')
+})
+
+test('binary input requires the codec to be loaded', () => {
+    const window = load('anbox-stream-sdk.js')
+    const options = {
+        targetElement: 'stream',
+        connector: {connect() {}, disconnect() {}},
+        input: {binary: true},
+    }
+    window.document = {getElementById: () => ({})}
+    const stream = Object.create(window.AnboxStream.prototype)
+    stream._fillDefaults(options)
+    assert.throws(() => stream._validateOptions(options), {code: 'INVALID_ARGUMENT'})
+})
+
+test('input is sent as binary once Anbox accepts the codec', () => {
+    const window = load('anbox-input-codec.js', 'anbox-stream-sdk.js')
+    const manager = vm.runInContext('new AnboxWebRTCManager({binaryInput: true})', window)
+    const channel = fakeChannel()
+    manager._onInputCodecSelected({codec: vm.runInContext('_binaryInputCodec.name', window)})
+    manager._sendInput(channel, 'key', {code: 30, pressed: true})
+    assert.notEqual(typeof(channel.sent[0]), 'string')
+    assert.equal(channel.sent[0].byteLength, 4)
+})